@@ -0,0 +1,20 @@
+-- Core course catalogue
+-- IF NOT EXISTS lets databases created before migrations existed adopt this file
+CREATE TABLE IF NOT EXISTS courses (
+  course_id VARCHAR(50) PRIMARY KEY,
+  course_name VARCHAR(255) NOT NULL,
+  department VARCHAR(100),
+  level VARCHAR(10) NOT NULL,
+  delivery_mode VARCHAR(20) NOT NULL,
+  credits INTEGER,
+  duration_weeks INTEGER,
+  rating NUMERIC(2,1) CHECK (rating >= 0 AND rating <= 5),
+  tuition_fee_inr INTEGER,
+  year_offered INTEGER
+);
+
+-- Indexes for the equality filters used by /api/courses and /api/ask
+CREATE INDEX IF NOT EXISTS idx_courses_department ON courses (department);
+CREATE INDEX IF NOT EXISTS idx_courses_level ON courses (level);
+CREATE INDEX IF NOT EXISTS idx_courses_delivery_mode ON courses (delivery_mode);
+CREATE INDEX IF NOT EXISTS idx_courses_year_offered ON courses (year_offered);
@@ -0,0 +1,12 @@
+-- Free-text course description, optional in ingested CSVs
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS description TEXT;
+
+-- Weighted full-text document: name ranks above department, department above description
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(course_name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(department, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_courses_search_vector ON courses USING GIN (search_vector);
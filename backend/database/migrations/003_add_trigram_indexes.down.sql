@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_courses_department_trgm;
+DROP INDEX IF EXISTS idx_courses_course_name_trgm;
+-- The pg_trgm extension is left installed; other objects may depend on it
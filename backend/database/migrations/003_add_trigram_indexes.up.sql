@@ -0,0 +1,5 @@
+-- Trigram matching for typo-tolerant search and "did you mean" suggestions
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_courses_course_name_trgm ON courses USING GIN (course_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_courses_department_trgm ON courses USING GIN (department gin_trgm_ops);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_courses_department_prefix;
+DROP INDEX IF EXISTS idx_courses_course_id_prefix;
+DROP INDEX IF EXISTS idx_courses_course_name_prefix;
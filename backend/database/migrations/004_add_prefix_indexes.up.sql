@@ -0,0 +1,4 @@
+-- Prefix indexes for autocomplete: lower(col) LIKE 'abc%' can use text_pattern_ops
+CREATE INDEX IF NOT EXISTS idx_courses_course_name_prefix ON courses (lower(course_name) text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_courses_course_id_prefix ON courses (lower(course_id) text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_courses_department_prefix ON courses (lower(department) text_pattern_ops);
@@ -0,0 +1,7 @@
+-- Saved comparison sets, shared as /compare/<id>
+CREATE TABLE IF NOT EXISTS comparisons (
+  id VARCHAR(16) PRIMARY KEY,
+  name VARCHAR(120),
+  course_ids TEXT[] NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS ask_synonyms;
@@ -0,0 +1,10 @@
+-- Synonyms added by admins for the Ask parser, on top of database/ask_synonyms.json
+CREATE TABLE IF NOT EXISTS ask_synonyms (
+  id SERIAL PRIMARY KEY,
+  field VARCHAR(20) NOT NULL CHECK (field IN ('department', 'level', 'delivery_mode')),
+  value VARCHAR(100) NOT NULL,
+  phrase VARCHAR(100) NOT NULL,
+  weight NUMERIC(3, 2) NOT NULL DEFAULT 1 CHECK (weight >= 0 AND weight <= 1),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (field, value, phrase)
+);
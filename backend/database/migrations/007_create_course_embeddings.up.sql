@@ -0,0 +1,10 @@
+-- Course vectors for semantic Ask search, scored in the server by lib/semanticIndex.js
+-- A plain REAL[] rather than pgvector, so no extension has to be installed
+-- provider says which model made the vector; content_hash which text it was made from
+CREATE TABLE IF NOT EXISTS course_embeddings (
+  course_id VARCHAR(50) PRIMARY KEY REFERENCES courses (course_id) ON DELETE CASCADE,
+  provider VARCHAR(120) NOT NULL,
+  embedding REAL[] NOT NULL,
+  content_hash CHAR(64) NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
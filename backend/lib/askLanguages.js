@@ -0,0 +1,205 @@
+/**
+ * Hindi and Hinglish questions for POST /api/ask
+ * normaliseQuestion detects the language and rewrites the question into the English
+ * the parsers and follow-up handling understand, e.g.
+ * "sasta online MBA course chahiye 1 lakh se kam" -> "cheapest online mba under 1 lakh".
+ * Hindi (Devanagari) is first turned into Hinglish words, then both go through the
+ * Hinglish rules, so each phrase only has to be taught once. English is left as it is
+ */
+
+const LANGUAGES = ['en', 'hi', 'hinglish'];
+
+// Whole words in any script; \b only knows ASCII letters
+const WORD_START = '(?<![\\p{L}\\p{M}\\p{N}])';
+const WORD_END = '(?![\\p{L}\\p{M}\\p{N}])';
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+const DEVANAGARI_DIGITS = /[०-९]/g;
+
+// Devanagari -> Hinglish or English; grammar words become their Hinglish spelling
+// so the Hinglish rules below handle "से कम" just like "se kam"
+const HINDI_WORDS = {
+  'ऑनलाइन': 'online', 'ऑफलाइन': 'offline', 'हाइब्रिड': 'hybrid', 'कैंपस': 'campus',
+  'कंप्यूटर': 'computer', 'विज्ञान': 'science', 'प्रबंधन': 'management', 'मैनेजमेंट': 'management',
+  'कानून': 'law', 'लॉ': 'law', 'चिकित्सा': 'medicine', 'डिज़ाइन': 'design', 'डिजाइन': 'design',
+  'वाणिज्य': 'commerce', 'कला': 'arts', 'इंजीनियरिंग': 'engineering', 'इलेक्ट्रिकल': 'electrical',
+  'एमबीए': 'mba', 'स्नातकोत्तर': 'postgraduate', 'स्नातक': 'undergraduate',
+  'लाख': 'lakh', 'हज़ार': 'hazaar', 'हजार': 'hazaar', 'करोड़': 'crore', 'रुपये': 'rupaye', 'रुपए': 'rupaye',
+  'साल': 'saal', 'वर्ष': 'saal', 'महीने': 'mahine', 'महीना': 'mahine', 'हफ्ते': 'hafte', 'सप्ताह': 'hafte',
+  'सेमेस्टर': 'semester', 'क्रेडिट': 'credit', 'रेटिंग': 'rating', 'स्टार': 'star',
+  'सबसे': 'sabse', 'सस्ता': 'sasta', 'सस्ते': 'sasta', 'सस्ती': 'sasta', 'महंगा': 'mehenga', 'महंगे': 'mehenga',
+  'अच्छा': 'accha', 'अच्छे': 'accha', 'नया': 'naya', 'नए': 'naya', 'छोटा': 'chhota', 'छोटे': 'chhota',
+  'लंबा': 'lamba', 'लंबे': 'lamba',
+  'से': 'se', 'कम': 'kam', 'ज़्यादा': 'zyada', 'ज्यादा': 'zyada', 'अधिक': 'zyada', 'ऊपर': 'upar',
+  'के': 'ke', 'का': 'ka', 'की': 'ki', 'को': 'ko', 'बीच': 'beech', 'बाद': 'baad', 'पहले': 'pehle',
+  'नहीं': 'nahi', 'अलावा': 'alawa', 'छोड़कर': 'chhodkar', 'सिर्फ': 'sirf', 'केवल': 'sirf',
+  'और': 'aur', 'या': 'ya', 'में': 'mein', 'है': 'hai', 'हैं': 'hai', 'मुझे': 'mujhe', 'चाहिए': 'chahiye',
+  'कोर्स': 'course', 'पाठ्यक्रम': 'course', 'वाले': 'wale', 'वाला': 'wale', 'वाली': 'wale',
+  'दिखाओ': 'dikhao', 'दिखाइए': 'dikhao', 'बताओ': 'batao', 'बताइए': 'batao', 'कौन': 'kaun', 'कोई': 'koi', 'भी': 'bhi',
+  'इससे': 'isse', 'उससे': 'usse', 'थोड़ा': 'thoda', 'फिर': 'phir', 'शुरू': 'shuru', 'विभाग': 'vibhag',
+  'हिसाब': 'hisaab',
+  'एक': 'ek', 'दो': 'do', 'तीन': 'teen', 'चार': 'chaar', 'पांच': 'paanch', 'पाँच': 'paanch', 'छह': 'chhe',
+  'सात': 'saat', 'आठ': 'aath', 'नौ': 'nau', 'दस': 'das', 'डेढ़': 'dedh', 'ढाई': 'dhai',
+  'ग्यारह': 'gyarah', 'बारह': 'barah', 'पंद्रह': 'pandrah', 'बीस': 'bees', 'पच्चीस': 'pachchis', 'तीस': 'tees',
+  'चालीस': 'chalis', 'पचास': 'pachaas', 'साठ': 'saath', 'सत्तर': 'sattar', 'अस्सी': 'assi', 'नब्बे': 'nabbe',
+  'सौ': 'sau'
+};
+
+// Numbers written as words; only read as numbers before a unit ("do saal", "dedh lakh")
+// or a comparison ("pachaas se kam"). "saath" (60) also means "with", hence the same rule
+const HINGLISH_NUMBERS = {
+  ek: 1, do: 2, teen: 3, char: 4, chaar: 4, paanch: 5, panch: 5, chhe: 6, chheh: 6,
+  saat: 7, aath: 8, nau: 9, das: 10, dedh: 1.5, dhai: 2.5, dhaai: 2.5,
+  gyarah: 11, barah: 12, pandrah: 15, bees: 20, pachchis: 25, pachees: 25, tees: 30,
+  chalis: 40, chaalis: 40, pachaas: 50, pachas: 50, saath: 60, sattar: 70, assi: 80, nabbe: 90,
+  sau: 100
+};
+
+// Hinglish -> English; longer phrases are replaced first
+const HINGLISH_WORDS = {
+  // Follow-ups, read by lib/askSessions.js
+  'isse sasta': 'cheaper', 'usse sasta': 'cheaper', 'aur sasta': 'cheaper', 'aur saste': 'cheaper',
+  'thoda sasta': 'cheaper',
+  'isse accha': 'better rated', 'aur accha': 'better rated',
+  'koi bhi': 'any', 'phir se shuru': 'start over', 'naye sire se': 'start over',
+  // Superlatives
+  'sabse sasta': 'cheapest', 'sabse saste': 'cheapest', sasta: 'cheapest', saste: 'cheapest', sasti: 'cheapest',
+  'sabse mehenga': 'most expensive',
+  'sabse accha': 'best', 'sabse acche': 'best', 'sabse achha': 'best', 'sabse achhe': 'best',
+  'sabse badhiya': 'best', 'sabse naya': 'newest', 'sabse chhota': 'shortest', 'sabse lamba': 'longest',
+  // Units
+  saal: 'years', varsh: 'years', mahine: 'months', mahina: 'months', hafte: 'weeks', hafta: 'weeks',
+  hazaar: 'thousand', hazar: 'thousand', karod: 'crore',
+  // Subjects and levels
+  kanoon: 'law', kanun: 'law', prabandhan: 'management', chikitsa: 'medicine', vanijya: 'commerce',
+  snatak: 'undergraduate', snatakottar: 'postgraduate', vibhag: 'department',
+  // Glue
+  ya: 'or', aur: 'and', sirf: 'only', keval: 'only'
+};
+
+// "se kam" (less than) and "se zyada" (more than) and their spellings
+const COMPARISON_WORDS = '(kam|neeche|niche|zyada|jyada|zyaada|adhik|upar|oopar)';
+
+// What a number before "se kam" or "se zyada" is, when it isn't a fee
+const RATING_UNITS = /^(?:rating|ratings|star|stars)$/;
+const NUMBER_WITH_UNIT = '(\\d+(?:\\.\\d+)?(?:\\s*(?:k|l|lakh|lakhs|thousand|crore|cr|years?|months?|weeks?|semesters?|credits?|rating|stars?))?)';
+
+// Postpositions: Hindi puts "less than", "after", "except" after the word they belong to
+const HINGLISH_REWRITES = [
+  // "1 se 2 lakh ke beech" -> "between 1 and 2 lakh"
+  {
+    regex: new RegExp(`${NUMBER_WITH_UNIT}\\s*(?:se|and|-)\\s*${NUMBER_WITH_UNIT}\\s+ke\\s+beech`, 'gu'),
+    replace: (_, from, to) => `between ${from} and ${to}`
+  },
+  // "1 lakh se kam" -> "under 1 lakh", "4 rating se zyada" -> "rated over 4"
+  {
+    regex: new RegExp(`${NUMBER_WITH_UNIT}\\s+se\\s+${COMPARISON_WORDS}${WORD_END}`, 'gu'),
+    replace: (_, amount, direction) => {
+      const bound = /^(?:kam|neeche|niche)$/.test(direction) ? 'under' : 'over';
+      const [number, unit = ''] = amount.split(/\s+|(?<=\d)(?=[a-z])/);
+      return RATING_UNITS.test(unit) ? `rated ${bound} ${number}` : `${bound} ${amount}`;
+    }
+  },
+  // Years: "2022 ke baad", "2023 se pehle", "2021 se", "2024 mein"
+  { regex: /(20\d{2})\s+ke\s+baad/gu, replace: (_, year) => `after ${year}` },
+  { regex: /(20\d{2})\s+se\s+pehle/gu, replace: (_, year) => `before ${year}` },
+  { regex: /(20\d{2})\s+se(?![\p{L}\p{M}\p{N}])/gu, replace: (_, year) => `since ${year}` },
+  { regex: /(20\d{2})\s+(?:mein|me)(?![\p{L}\p{M}\p{N}])/gu, replace: (_, year) => `in ${year}` },
+  // "rating ke hisaab se" -> "sort by rating"
+  {
+    regex: new RegExp(`([\\p{L}\\p{N}]+)\\s+ke\\s+(?:hisaab|hisab)\\s+se${WORD_END}`, 'gu'),
+    replace: (_, column) => `sort by ${column}`
+  },
+  // "law ke alawa", "law ko chhodkar" -> "except law"; "online nahi" -> "not online"
+  {
+    regex: new RegExp(`([\\p{L}\\p{N}]+)\\s+(?:ke\\s+(?:alawa|alava|siwa|siva)|ko\\s+chhod\\s*(?:kar|ke))${WORD_END}`, 'gu'),
+    replace: (_, word) => `except ${word}`
+  },
+  { regex: new RegExp(`([\\p{L}\\p{N}]+)\\s+(?:nahi|nahin)${WORD_END}`, 'gu'), replace: (_, word) => `not ${word}` }
+];
+
+// Hinglish words that only hold the sentence together
+const HINGLISH_FILLER_WORDS = [
+  'mujhe', 'muje', 'hume', 'humein', 'chahiye', 'chahie', 'chaiye', 'koi', 'kuch', 'hai', 'hain', 'ho',
+  'ka', 'ki', 'ke', 'ko', 'se', 'mein', 'me', 'par', 'pe', 'wala', 'wale', 'wali', 'vala', 'vale',
+  'dikhao', 'dikhaiye', 'batao', 'bataiye', 'kaun', 'kaunse', 'konse', 'kya', 'liye', 'bhi', 'sabse',
+  'rupaye', 'rupay', 'rupees', 'karo', 'kijiye', 'sa', 'si'
+];
+
+// Words that mark a Latin-script question as Hinglish; none of them is an English word
+// ("me", "ho", "par", "pe", "teen", "bees" and "tees" are, so they don't count)
+const HINGLISH_MARKERS = new Set([
+  ...HINGLISH_FILLER_WORDS.filter(word => !['me', 'ho', 'par', 'pe'].includes(word)),
+  ...Object.keys(HINGLISH_WORDS).filter(phrase => !phrase.includes(' ')),
+  ...Object.keys(HINGLISH_NUMBERS).filter(word => !['do', 'teen', 'bees', 'tees'].includes(word)),
+  'kam', 'zyada', 'jyada', 'zyaada', 'adhik', 'upar', 'neeche', 'niche', 'beech', 'baad', 'pehle',
+  'nahi', 'nahin', 'alawa', 'alava', 'chhodkar', 'isse', 'usse', 'accha', 'acche', 'achha', 'achhe',
+  'hisaab', 'hisab', 'phir', 'shuru'
+]);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Replace whole words or phrases using a { from: to } table, longest phrases first
+ */
+function replaceWords(text, table) {
+  // Devanagari can spell the same word with different code points ("ज़" or "ज" + nukta)
+  const normalised = Object.fromEntries(Object.entries(table).map(([from, to]) => [from.normalize('NFC'), to]));
+  const phrases = Object.keys(normalised).sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(`${WORD_START}(?:${phrases.map(escapeRegex).join('|')})${WORD_END}`, 'gu');
+  return text.replace(pattern, phrase => normalised[phrase]);
+}
+
+/**
+ * 'hi' when the question is written in Devanagari, 'hinglish' when a Latin-script
+ * question uses any Hindi word ("chahiye", "kam", "saal"), else 'en'
+ */
+function detectLanguage(question) {
+  if (DEVANAGARI.test(question)) return 'hi';
+
+  const words = question.toLowerCase().match(/\p{L}+/gu) || [];
+  return words.some(word => HINGLISH_MARKERS.has(word)) ? 'hinglish' : 'en';
+}
+
+/**
+ * The question in the English the parsers understand
+ * Returns { language, question }; English questions come back unchanged
+ */
+function normaliseQuestion(question) {
+  const language = detectLanguage(question);
+  if (language === 'en') return { language, question };
+
+  let text = question.normalize('NFC').toLowerCase().replace(DEVANAGARI_DIGITS, digit => String('०१२३४५६७८९'.indexOf(digit)));
+
+  // Step 1: Devanagari words to their Hinglish or English form
+  if (language === 'hi') text = replaceWords(text, HINDI_WORDS);
+
+  // Step 2: Hinglish words and phrases to English
+  text = replaceWords(text, HINGLISH_WORDS);
+
+  // Step 3: Number words before a unit or a comparison, e.g. "do years" -> "2 years",
+  // "dedh lakh" -> "1.5 lakh", "pachaas se kam" -> "50 se kam"; hundreds first ("paanch sau" -> "500")
+  const numberWord = `(${Object.keys(HINGLISH_NUMBERS).join('|')})`;
+  text = text.replace(
+    new RegExp(`${WORD_START}${numberWord}\\s+sau${WORD_END}`, 'gu'),
+    (_, word) => String(HINGLISH_NUMBERS[word] * 100)
+  );
+  text = text.replace(
+    new RegExp(`${WORD_START}${numberWord}\\s+(?=(?:(?:lakh|thousand|crore|years?|months?|weeks?|semesters?|credits?|stars?)|se\\s+${COMPARISON_WORDS})${WORD_END})`, 'gu'),
+    (_, word) => `${HINGLISH_NUMBERS[word]} `
+  );
+
+  // Step 4: Postpositions to English word order
+  HINGLISH_REWRITES.forEach(({ regex, replace }) => { text = text.replace(regex, replace); });
+
+  // Step 5: Drop the words that only hold the sentence together
+  text = text.replace(new RegExp(`${WORD_START}(?:${HINGLISH_FILLER_WORDS.join('|')})${WORD_END}`, 'gu'), ' ');
+
+  return { language, question: text.replace(/\s+/g, ' ').trim() };
+}
+
+module.exports = {
+  LANGUAGES,
+  detectLanguage,
+  normaliseQuestion
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { createCache } = require('./cache');
+
+/**
+ * Conversations for POST /api/ask
+ * A session remembers the filters after each turn, so a follow-up like
+ * "now only online ones" or "cheaper than that" refines the previous search
+ * Sessions live in memory and expire after a period without questions
+ */
+
+const sessionCache = createCache({ maxEntries: 1000, ttlMs: 30 * 60 * 1000 });
+
+// "start over", "reset", "new search" at the start of a question drop everything said before
+const RESET_PATTERN = /^\s*(?:start\s+over|reset|new\s+search|forget\s+(?:all|everything)(?:\s+that)?)\b[\s,.:;!-]*/i;
+
+// Words after "any", "no", "remove", ... that name a filter to drop, e.g. "any department", "remove the fee limit"
+const REMOVABLE_FILTERS = {
+  department: ['department', 'exclude_department'],
+  subject: ['department', 'exclude_department'],
+  level: ['level', 'exclude_level'],
+  delivery: ['delivery_mode', 'exclude_delivery_mode'],
+  mode: ['delivery_mode', 'exclude_delivery_mode'],
+  format: ['delivery_mode', 'exclude_delivery_mode'],
+  fee: ['min_fee', 'max_fee', 'max_fee_per_credit'],
+  fees: ['min_fee', 'max_fee', 'max_fee_per_credit'],
+  price: ['min_fee', 'max_fee', 'max_fee_per_credit'],
+  budget: ['min_fee', 'max_fee', 'max_fee_per_credit'],
+  cost: ['min_fee', 'max_fee', 'max_fee_per_credit'],
+  rating: ['min_rating', 'max_rating'],
+  credits: ['min_credits', 'max_credits'],
+  duration: ['min_duration_weeks', 'max_duration_weeks'],
+  length: ['min_duration_weeks', 'max_duration_weeks'],
+  year: ['year_offered', 'min_year', 'max_year'],
+  years: ['year_offered', 'min_year', 'max_year'],
+  keywords: ['q'],
+  topic: ['q'],
+  sort: ['sort'],
+  sorting: ['sort'],
+  order: ['sort'],
+  limit: ['limit']
+};
+
+// Wanted values and the matching exclusions, e.g. "now law too" after "except law"
+const OPPOSITE_FIELDS = [
+  ['department', 'exclude_department'],
+  ['level', 'exclude_level'],
+  ['delivery_mode', 'exclude_delivery_mode']
+];
+
+const REMOVAL_PATTERN = /\b(?:any|no|remove|drop|clear|forget|ignore)\s+(?:the\s+)?([a-z]+)(?:\s+(?:limits?|filters?|constraints?))?/g;
+
+// Comparisons with the previous results that have no number of their own
+// With one ("cheaper than 30000", "better rated than 4") the parser reads the phrase instead
+const EXPLICIT_BOUND = '(?!\\s+(?:than|under|below|above|over)\\s+(?:rs\\.?|inr|₹)?\\s*\\d)';
+const CHEAPER_PATTERN = new RegExp(`\\b(?:cheaper|less\\s+expensive|lower\\s+(?:fee|price|cost))\\b${EXPLICIT_BOUND}`, 'i');
+const BETTER_RATED_PATTERN = new RegExp(`\\b(?:better|higher)[\\s-]+rated\\b${EXPLICIT_BOUND}`, 'i');
+
+const SESSION_ID_LENGTH = 12;
+
+function generateSessionId() {
+  return crypto.randomBytes(SESSION_ID_LENGTH).toString('base64url').slice(0, SESSION_ID_LENGTH);
+}
+
+/**
+ * A stored session, or null when it never existed or has expired
+ */
+function getSession(sessionId) {
+  if (!sessionId) return null;
+  return sessionCache.get(String(sessionId)) || null;
+}
+
+/**
+ * Store the state after a turn; creates the session when sessionId is null
+ * reference holds average fee and rating of the turn's results, for "cheaper than that"
+ */
+function saveSession(sessionId, { filters, matches, reference, question }) {
+  const previous = getSession(sessionId);
+  const session = {
+    id: previous ? previous.id : generateSessionId(),
+    filters,
+    matches,
+    reference,
+    turns: [...(previous ? previous.turns : []), { question, filters }]
+  };
+  sessionCache.set(session.id, session);
+  return session;
+}
+
+/**
+ * Average fee and rating of a turn's courses, the yardstick for relative follow-ups
+ */
+function referenceFromResults(courses) {
+  const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+  const fees = courses.map(course => Number(course.tuition_fee_inr)).filter(Number.isFinite);
+  const ratings = courses.map(course => Number(course.rating)).filter(Number.isFinite);
+  const avgFee = average(fees);
+  const avgRating = average(ratings);
+
+  return {
+    avg_fee: avgFee === null ? null : Math.round(avgFee),
+    avg_rating: avgRating === null ? null : Math.round(avgRating * 10) / 10
+  };
+}
+
+/**
+ * Strip a leading "start over" and say whether the question asks to reset
+ * Returns { reset, question }
+ */
+function detectReset(question) {
+  const match = question.match(RESET_PATTERN);
+  if (!match) return { reset: false, question };
+  return { reset: true, question: question.slice(match[0].length) };
+}
+
+/**
+ * Which filters a turn added, changed or removed
+ * Returns { added, changed, removed } lists of field names
+ */
+function diffFilters(before, after) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  // Lists like ["online", "hybrid"] compare by value
+  const differs = (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]);
+  return {
+    added: fields.filter(field => before[field] === undefined && after[field] !== undefined),
+    changed: fields.filter(field => before[field] !== undefined && after[field] !== undefined && differs(field)),
+    removed: fields.filter(field => before[field] !== undefined && after[field] === undefined)
+  };
+}
+
+/**
+ * Pull the follow-up-only phrases out of a question before it is parsed:
+ * filters to drop ("any level", "remove the fee limit") and comparisons with the
+ * previous results ("cheaper", "better rated")
+ * Returns { question, removedFields, cheaper, betterRated } where question is what's left
+ */
+function extractFollowUpIntents(question) {
+  let remainder = question;
+  const removedFields = new Set();
+
+  for (const [phrase, word] of question.toLowerCase().matchAll(REMOVAL_PATTERN)) {
+    if (!REMOVABLE_FILTERS[word]) continue;
+    REMOVABLE_FILTERS[word].forEach(field => removedFields.add(field));
+    remainder = remainder.replace(new RegExp(phrase.replace(/\s+/g, '\\s+'), 'i'), ' ');
+  }
+
+  const cheaper = remainder.match(CHEAPER_PATTERN);
+  const betterRated = remainder.match(BETTER_RATED_PATTERN);
+  remainder = remainder.replace(CHEAPER_PATTERN, ' ').replace(BETTER_RATED_PATTERN, ' ');
+
+  return {
+    question: remainder.replace(/\s+/g, ' ').trim(),
+    removedFields,
+    cheaper: cheaper ? cheaper[0] : null,
+    betterRated: betterRated ? betterRated[0] : null
+  };
+}
+
+/**
+ * Combine a follow-up with the previous turn
+ * Filters in the follow-up add to or override the previous ones, intents from
+ * extractFollowUpIntents drop them or compare with the previous results
+ * Returns { filters, matches, changes: { added, changed, removed } }
+ */
+function applyFollowUp(previous, parsed, intents, reference = {}) {
+  const filters = { ...previous.filters };
+  const matches = { ...previous.matches };
+  const incoming = { ...parsed.filters };
+  const incomingMatches = { ...parsed.matches };
+
+  // "Cheaper" means under both the current fee limit and what the last results cost on average
+  if (intents.cheaper && incoming.max_fee === undefined) {
+    const bounds = [filters.max_fee, reference.avg_fee].filter(value => value !== null && value !== undefined);
+    if (bounds.length > 0) {
+      incoming.max_fee = Math.max(0, Math.min(...bounds) - 1);
+      incomingMatches.max_fee = intents.cheaper;
+    }
+  }
+
+  if (intents.betterRated && incoming.min_rating === undefined &&
+    reference.avg_rating !== null && reference.avg_rating !== undefined) {
+    incoming.min_rating = Math.min(5, Math.max(filters.min_rating ?? 0, reference.avg_rating));
+    incomingMatches.min_rating = intents.betterRated;
+  }
+
+  intents.removedFields.forEach(field => {
+    if (incoming[field] === undefined) {
+      delete filters[field];
+      delete matches[field];
+    }
+  });
+
+  Object.entries(incoming).forEach(([field, value]) => {
+    filters[field] = value;
+    if (incomingMatches[field]) {
+      matches[field] = incomingMatches[field];
+    } else {
+      delete matches[field];
+    }
+  });
+
+  // What this turn asks for wins over an opposite filter kept from before
+  OPPOSITE_FIELDS.forEach(pair => {
+    pair.forEach((field, index) => {
+      const opposite = pair[1 - index];
+      if (incoming[field] === undefined || filters[opposite] === undefined) return;
+      const newValues = [].concat(incoming[field]);
+      const kept = [].concat(filters[opposite]).filter(value => !newValues.includes(value));
+      if (kept.length === 0) {
+        delete filters[opposite];
+        delete matches[opposite];
+      } else {
+        filters[opposite] = kept.length === 1 ? kept[0] : kept;
+      }
+    });
+  });
+
+  return { filters, matches, changes: diffFilters(previous.filters, filters) };
+}
+
+module.exports = {
+  getSession,
+  saveSession,
+  referenceFromResults,
+  detectReset,
+  diffFilters,
+  extractFollowUpIntents,
+  applyFollowUp
+};
@@ -0,0 +1,50 @@
+/**
+ * Small in-memory LRU cache with per-entry expiry
+ * Good enough for hot, cheap-to-recompute lookups like autocomplete;
+ * each server process keeps its own copy
+ */
+function createCache({ maxEntries = 500, ttlMs = 60 * 1000 } = {}) {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const clear = () => {
+    entries.clear();
+  };
+
+  return {
+    get,
+    set,
+    clear,
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = {
+  createCache
+};
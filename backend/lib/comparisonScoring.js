@@ -0,0 +1,169 @@
+/**
+ * Weighted "best pick" scoring for the comparison page
+ * Each attribute is min-max normalised across the compared courses to [0, 1]
+ * (1 = best among them), then combined with the user's weights into a 0-100 score
+ */
+
+// Attributes a user can weight, and which end of the scale is better
+const SCORING_ATTRIBUTES = {
+  rating: { better: 'higher', label: 'rating', best: 'Highest rating' },
+  tuition_fee_inr: { better: 'lower', label: 'tuition fee', best: 'Lowest tuition fee' },
+  duration_weeks: { better: 'lower', label: 'duration', best: 'Shortest duration' },
+  credits: { better: 'higher', label: 'credits', best: 'Most credits' }
+};
+
+// Used when the request doesn't say otherwise
+const DEFAULT_WEIGHTS = {
+  rating: 50,
+  tuition_fee_inr: 30,
+  duration_weeks: 20,
+  credits: 0
+};
+
+const formatInr = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`;
+
+const formatValue = (attribute, value) => {
+  if (attribute === 'tuition_fee_inr') return formatInr(value);
+  if (attribute === 'duration_weeks') return `${value} weeks`;
+  return String(value);
+};
+
+/**
+ * Parse "rating:50,tuition_fee_inr:30,duration_weeks:20" into weights that sum to 1
+ * Attributes that aren't listed get weight 0; throws an "Invalid weights" error
+ */
+function parseWeights(weightsParam) {
+  const raw = {};
+
+  if (weightsParam === undefined || weightsParam === null || String(weightsParam).trim() === '') {
+    Object.assign(raw, DEFAULT_WEIGHTS);
+  } else {
+    Object.keys(SCORING_ATTRIBUTES).forEach(attribute => { raw[attribute] = 0; });
+
+    String(weightsParam).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+      const [attribute, value] = part.split(':').map(piece => piece.trim());
+      if (!SCORING_ATTRIBUTES[attribute]) {
+        throw new Error(`Invalid weights: "${attribute}" must be one of ${Object.keys(SCORING_ATTRIBUTES).join(', ')}`);
+      }
+      const weight = Number(value);
+      if (value === undefined || value === '' || !Number.isFinite(weight) || weight < 0) {
+        throw new Error(`Invalid weights: weight for "${attribute}" must be a non-negative number`);
+      }
+      raw[attribute] = weight;
+    });
+  }
+
+  const total = Object.values(raw).reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    throw new Error('Invalid weights: at least one weight must be greater than 0');
+  }
+
+  return Object.fromEntries(Object.entries(raw).map(([attribute, weight]) => [attribute, weight / total]));
+}
+
+/**
+ * Normalise one attribute across the courses: 1 for the best value, 0 for the worst
+ * Missing values score 0; when every course has the same value they all score 1
+ */
+function normaliseAttribute(courses, attribute) {
+  const { better } = SCORING_ATTRIBUTES[attribute];
+  const values = courses.map(course => (
+    course[attribute] === null || course[attribute] === undefined ? null : Number(course[attribute])
+  ));
+  const present = values.filter(value => value !== null && !Number.isNaN(value));
+
+  if (present.length === 0) return values.map(() => 0);
+
+  const min = Math.min(...present);
+  const max = Math.max(...present);
+
+  return values.map(value => {
+    if (value === null || Number.isNaN(value)) return 0;
+    if (max === min) return 1;
+    return better === 'higher' ? (value - min) / (max - min) : (max - value) / (max - min);
+  });
+}
+
+/**
+ * Best value of each attribute and the courses that have it
+ * Returns { attribute: { value, course_ids } }, skipping attributes nobody has
+ */
+function findWinners(courses) {
+  const winners = {};
+
+  Object.entries(SCORING_ATTRIBUTES).forEach(([attribute, { better }]) => {
+    const withValues = courses.filter(course => course[attribute] !== null && course[attribute] !== undefined);
+    if (withValues.length === 0) return;
+
+    const values = withValues.map(course => Number(course[attribute]));
+    const best = better === 'higher' ? Math.max(...values) : Math.min(...values);
+
+    winners[attribute] = {
+      value: best,
+      course_ids: withValues.filter(course => Number(course[attribute]) === best).map(course => course.course_id)
+    };
+  });
+
+  return winners;
+}
+
+/**
+ * Score, rank and explain a set of compared courses
+ * Returns { weights, scores, ranking, winners, recommended }
+ */
+function scoreComparison(courses, weights) {
+  const normalised = Object.fromEntries(
+    Object.keys(SCORING_ATTRIBUTES).map(attribute => [attribute, normaliseAttribute(courses, attribute)])
+  );
+
+  const scores = courses.map((course, index) => {
+    const breakdown = {};
+    let total = 0;
+
+    Object.keys(SCORING_ATTRIBUTES).forEach(attribute => {
+      const value = normalised[attribute][index];
+      breakdown[attribute] = Math.round(value * 1000) / 1000;
+      total += value * weights[attribute];
+    });
+
+    return { course_id: course.course_id, score: Math.round(total * 1000) / 10, breakdown };
+  });
+
+  // Highest score first; course_id keeps ties in a stable order
+  const ranked = [...scores].sort((a, b) => b.score - a.score || a.course_id.localeCompare(b.course_id));
+  ranked.forEach((entry, index) => { entry.rank = index + 1; });
+
+  const winners = findWinners(courses);
+
+  // Explain the top pick by the weighted attributes it wins or does best on
+  const top = ranked[0];
+  const topCourse = courses.find(course => course.course_id === top.course_id);
+  const reasons = Object.keys(SCORING_ATTRIBUTES)
+    .filter(attribute => weights[attribute] > 0 && topCourse[attribute] !== null && topCourse[attribute] !== undefined)
+    .sort((a, b) => weights[b] * top.breakdown[b] - weights[a] * top.breakdown[a])
+    .filter(attribute => top.breakdown[attribute] > 0)
+    .map(attribute => {
+      const { label, best } = SCORING_ATTRIBUTES[attribute];
+      const value = formatValue(attribute, topCourse[attribute]);
+      const isWinner = winners[attribute]?.course_ids.includes(top.course_id);
+      const detail = isWinner
+        ? `${best} (${value})`
+        : `Good ${label} (${value})`;
+      return { attribute, weight: Math.round(weights[attribute] * 1000) / 1000, detail };
+    });
+
+  return {
+    weights,
+    scores,
+    ranking: ranked.map(entry => entry.course_id),
+    winners,
+    recommended: { course_id: top.course_id, score: top.score, reasons }
+  };
+}
+
+module.exports = {
+  SCORING_ATTRIBUTES,
+  DEFAULT_WEIGHTS,
+  parseWeights,
+  scoreComparison
+};
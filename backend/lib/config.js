@@ -0,0 +1,54 @@
+const path = require('path');
+
+/**
+ * Server-side settings shared by the routes
+ * The frontend reads the public ones from GET /api/config, so limits are
+ * defined once here instead of being repeated in the UI
+ */
+
+const positiveInteger = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const fraction = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 && parsed <= 1 ? parsed : fallback;
+};
+
+const config = {
+  compare: {
+    // Most courses GET /api/compare and POST /api/comparisons accept at once
+    maxCourses: positiveInteger(process.env.COMPARE_MAX_COURSES, 5)
+  },
+  ask: {
+    // "llm" asks OpenAI to parse questions (falling back to the rules), "rules" never calls it
+    // Defaults to "llm" when an API key is configured
+    parser: ['llm', 'rules'].includes(process.env.ASK_PARSER)
+      ? process.env.ASK_PARSER
+      : (process.env.OPENAI_API_KEY ? 'llm' : 'rules'),
+    llmModel: process.env.ASK_LLM_MODEL || 'gpt-4o-mini',
+    // How long to wait for the model before answering with the rule parser instead
+    llmTimeoutMs: positiveInteger(process.env.ASK_LLM_TIMEOUT_MS, 5000),
+    // Synonym dictionary for the rule parser; admins add to it through /api/ask/synonyms
+    synonymsFile: process.env.ASK_SYNONYMS_FILE || path.join(__dirname, '..', 'database', 'ask_synonyms.json'),
+    // A department, level or mode is only used when its synonyms add up to this confidence
+    synonymMinConfidence: fraction(process.env.ASK_SYNONYM_MIN_CONFIDENCE, 0.5),
+    // Semantic search: "local" embeds with a built-in hashing model that needs no network,
+    // "openai" with OpenAI embeddings, "off" leaves search to full-text matching
+    embeddings: ['local', 'openai', 'off'].includes(process.env.ASK_EMBEDDINGS)
+      ? process.env.ASK_EMBEDDINGS
+      : 'local',
+    embeddingModel: process.env.ASK_EMBEDDING_MODEL || 'text-embedding-3-small',
+    embeddingDimensions: positiveInteger(process.env.ASK_EMBEDDING_DIMENSIONS, 512),
+    // Most courses vector search adds to a question's results, and how close they must be
+    semanticCandidates: positiveInteger(process.env.ASK_SEMANTIC_CANDIDATES, 50),
+    semanticMinSimilarity: fraction(process.env.ASK_SEMANTIC_MIN_SIMILARITY, 0.15),
+    // Share of the relevance score that comes from vector similarity rather than text rank
+    semanticWeight: fraction(process.env.ASK_SEMANTIC_WEIGHT, 0.5),
+    // Log each question with its filters and SQL; off by default, as questions are user text
+    debugLog: ['1', 'true'].includes(process.env.ASK_DEBUG_LOG)
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,189 @@
+const { parse } = require('csv-parse');
+const db = require('../db');
+const { embedCourses } = require('./semanticIndex');
+
+/**
+ * Course CSV ingestion shared by POST /api/ingest and the seed script
+ * Keeping one code path means seeded data goes through the same validation
+ * and upsert as uploaded files
+ */
+
+// Fields that must be present and non-empty on every row
+const REQUIRED_FIELDS = ['course_id', 'course_name', 'level', 'delivery_mode'];
+
+const UPSERT_QUERY = `
+  INSERT INTO courses (
+    course_id, course_name, department, level, delivery_mode,
+    credits, duration_weeks, rating, tuition_fee_inr, year_offered, description
+  ) VALUES (
+    $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11
+  )
+  ON CONFLICT (course_id)
+  DO UPDATE SET
+    course_name = EXCLUDED.course_name,
+    department = EXCLUDED.department,
+    level = EXCLUDED.level,
+    delivery_mode = EXCLUDED.delivery_mode,
+    credits = EXCLUDED.credits,
+    duration_weeks = EXCLUDED.duration_weeks,
+    rating = EXCLUDED.rating,
+    tuition_fee_inr = EXCLUDED.tuition_fee_inr,
+    year_offered = EXCLUDED.year_offered,
+    description = EXCLUDED.description
+  RETURNING (CASE WHEN xmax = 0 THEN 'inserted' ELSE 'updated' END) as action
+`;
+
+/**
+ * Parse CSV text into an array of row objects keyed by header
+ */
+function parseCourseCsv(csvData) {
+  return new Promise((resolve, reject) => {
+    parse(csvData, {
+      columns: true, // Use first row as column headers
+      skip_empty_lines: true,
+      trim: true,
+    }, (err, data) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(data);
+      }
+    });
+  });
+}
+
+/**
+ * Convert a raw CSV row into typed course data
+ */
+function toCourseData(row) {
+  return {
+    course_id: row.course_id.trim(),
+    course_name: row.course_name.trim(),
+    department: row.department ? row.department.trim() : null,
+    level: row.level.trim(),
+    delivery_mode: row.delivery_mode.trim(),
+    credits: row.credits ? parseInt(row.credits) : null,
+    duration_weeks: row.duration_weeks ? parseInt(row.duration_weeks) : null,
+    rating: row.rating ? parseFloat(row.rating) : null,
+    tuition_fee_inr: row.tuition_fee_inr ? parseInt(row.tuition_fee_inr) : null,
+    year_offered: row.year_offered ? parseInt(row.year_offered) : null,
+    description: row.description ? row.description.trim() : null
+  };
+}
+
+/**
+ * Validate and upsert parsed rows one at a time
+ * A bad row is recorded in failedRows and never aborts the rest of the file
+ */
+async function upsertCourseRecords(records) {
+  let inserted = 0;
+  let updated = 0;
+  let failed = 0;
+  const failedRows = []; // Track failed rows for debugging
+  const courseIds = []; // Rows that were stored, for embedding
+
+  for (let i = 0; i < records.length; i++) {
+    const row = records[i];
+    const rowNumber = i + 2; // +2 because of header row and 0-based index
+
+    try {
+      // Step 1: Validate required fields
+      const missingFields = REQUIRED_FIELDS.filter(field => !row[field] || row[field].trim() === '');
+
+      if (missingFields.length > 0) {
+        failed++;
+        failedRows.push({
+          row: rowNumber,
+          error: `Missing required fields: ${missingFields.join(', ')}`,
+          data: row
+        });
+        continue; // Skip this row and move to next
+      }
+
+      // Step 2: Perform upsert operation (insert or update based on course_id)
+      const courseData = toCourseData(row);
+      const values = [
+        courseData.course_id,
+        courseData.course_name,
+        courseData.department,
+        courseData.level,
+        courseData.delivery_mode,
+        courseData.credits,
+        courseData.duration_weeks,
+        courseData.rating,
+        courseData.tuition_fee_inr,
+        courseData.year_offered,
+        courseData.description
+      ];
+
+      const result = await db.query(UPSERT_QUERY, values);
+
+      // Step 3: Track whether record was inserted or updated
+      if (result.rows[0].action === 'inserted') {
+        inserted++;
+      } else {
+        updated++;
+      }
+      courseIds.push(courseData.course_id);
+
+    } catch (rowError) {
+      // Step 4: Handle individual row processing errors
+      failed++;
+      failedRows.push({
+        row: rowNumber,
+        error: rowError.message,
+        data: row
+      });
+      console.error(`Error processing row ${rowNumber}:`, rowError);
+    }
+  }
+
+  return { inserted, updated, failed, failedRows, courseIds };
+}
+
+/**
+ * Embed the stored courses for semantic search
+ * The courses are already saved, so a failing provider is reported in the summary
+ * instead of failing the upload; npm run embed catches them up later
+ */
+async function embedIngestedCourses(courseIds) {
+  try {
+    return await embedCourses(courseIds);
+  } catch (error) {
+    console.error('Error embedding ingested courses:', error);
+    return { embedded: 0, unchanged: 0, error: error.message };
+  }
+}
+
+/**
+ * Parse and ingest a whole CSV document
+ * Returns the same summary shape POST /api/ingest responds with
+ */
+async function ingestCourseCsv(csvData) {
+  const records = await parseCourseCsv(csvData);
+  const { inserted, updated, failed, failedRows, courseIds } = await upsertCourseRecords(records);
+  const embeddings = await embedIngestedCourses(courseIds);
+
+  const summary = {
+    inserted,
+    updated,
+    failed,
+    total_processed: records.length,
+    embeddings
+  };
+
+  // Include failed rows if there were any (for debugging)
+  if (failed > 0 && failedRows.length > 0) {
+    summary.failed_rows = failedRows.slice(0, 10); // Limit to first 10 failed rows
+  }
+
+  return summary;
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  parseCourseCsv,
+  toCourseData,
+  upsertCourseRecords,
+  ingestCourseCsv
+};
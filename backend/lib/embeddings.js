@@ -0,0 +1,140 @@
+const { tokenize } = require('./synonyms');
+
+/**
+ * Embedding providers for semantic course search
+ * A provider is { name, dimensions, embed(texts) } where embed resolves to one
+ * unit-length vector per text. name is stored with every course vector, so switching
+ * provider or size re-embeds the catalogue instead of comparing unlike vectors
+ */
+
+// Words that say nothing about what a course or question is about
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'or', 'the', 'of', 'to', 'for', 'in', 'on', 'with', 'at', 'by', 'from',
+  'is', 'are', 'be', 'as', 'it', 'its', 'that', 'this', 'these', 'which', 'who', 'what',
+  'i', 'me', 'my', 'we', 'you', 'your', 'want', 'need', 'help', 'become', 'get', 'into',
+  'course', 'courses', 'class', 'classes', 'about', 'some', 'any', 'good'
+]);
+
+// Endings dropped so "manager", "managers" and "management" share a stem
+const SUFFIXES = [
+  'ations', 'ation', 'ments', 'ment', 'ings', 'ing', 'ions', 'ion', 'ers', 'er',
+  'ies', 'ial', 'al', 'es', 's'
+];
+
+// How much each kind of feature counts towards a local vector
+const FEATURE_WEIGHTS = { word: 1, pair: 0.5, trigram: 0.25 };
+
+/**
+ * Text a course is embedded from: its name, department and description
+ */
+function courseEmbeddingText(course) {
+  return [course.course_name, course.department, course.description]
+    .filter(Boolean)
+    .join('. ');
+}
+
+/**
+ * Scale a vector to unit length; a zero vector stays zero
+ */
+function normaliseVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length === 0 ? vector.map(() => 0) : vector.map(value => value / length);
+}
+
+/**
+ * Cosine similarity of two unit-length vectors, from -1 to 1
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Rough stem of an English word: one ending and then a final "e" come off, so
+ * "manage", "manager" and "management" all become "manag"
+ */
+function stem(word) {
+  const suffix = SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= 4);
+  let stemmed = word;
+  if (suffix) stemmed = suffix === 'ies' ? `${word.slice(0, -3)}y` : word.slice(0, -suffix.length);
+  return stemmed.length > 4 && stemmed.endsWith('e') ? stemmed.slice(0, -1) : stemmed;
+}
+
+/**
+ * Deterministic provider that needs no model or network
+ * Hashes stemmed words, word pairs and letter trigrams into a fixed-size vector, so
+ * texts score as close when they share words or word parts ("manager" and
+ * "management"). It knows no meaning beyond that; it keeps semantic search working
+ * offline and in tests, and the OpenAI provider is the one to use for real synonyms
+ */
+function createLocalEmbeddingProvider({ dimensions = 512 } = {}) {
+  const embedText = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    const add = (feature, weight) => {
+      const hash = hashFeature(feature);
+      // The top bit picks the sign so colliding features tend to cancel out
+      vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+    };
+
+    const stems = tokenize(String(text || ''))
+      .map(({ word }) => word)
+      .filter(word => !STOP_WORDS.has(word))
+      .map(stem);
+
+    stems.forEach((word, index) => {
+      add(`w:${word}`, FEATURE_WEIGHTS.word);
+      if (index > 0) add(`p:${stems[index - 1]} ${word}`, FEATURE_WEIGHTS.pair);
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`t:${padded.slice(i, i + 3)}`, FEATURE_WEIGHTS.trigram);
+      }
+    });
+    return normaliseVector(vector);
+  };
+
+  return {
+    // Bump the version when the features change so stored vectors are rebuilt
+    name: `local-v1:${dimensions}`,
+    dimensions,
+    embed: async (texts) => texts.map(embedText)
+  };
+}
+
+/**
+ * Provider backed by an OpenAI-compatible embeddings client
+ * client only needs embeddings.create({ model, input, dimensions }), so tests can
+ * pass a stub
+ */
+function createOpenAIEmbeddingProvider({ client, model, dimensions }) {
+  return {
+    name: `openai:${model}:${dimensions}`,
+    dimensions,
+    embed: async (texts) => {
+      const response = await client.embeddings.create({ model, input: texts, dimensions });
+      return [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => normaliseVector(item.embedding));
+    }
+  };
+}
+
+module.exports = {
+  courseEmbeddingText,
+  normaliseVector,
+  cosineSimilarity,
+  createLocalEmbeddingProvider,
+  createOpenAIEmbeddingProvider
+};
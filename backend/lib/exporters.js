@@ -0,0 +1,242 @@
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { SCORING_ATTRIBUTES } = require('./comparisonScoring');
+
+/**
+ * File exports of search results (CSV, XLSX) and comparisons (PDF)
+ * Results are written batch by batch so large exports never sit in memory
+ */
+
+// Columns in export order; width is the XLSX column width in characters
+const EXPORT_COLUMNS = [
+  { key: 'course_id', header: 'Course ID', width: 12 },
+  { key: 'course_name', header: 'Course Name', width: 40 },
+  { key: 'department', header: 'Department', width: 24 },
+  { key: 'level', header: 'Level', width: 14 },
+  { key: 'delivery_mode', header: 'Delivery Mode', width: 14 },
+  { key: 'credits', header: 'Credits', width: 10 },
+  { key: 'duration_weeks', header: 'Duration (weeks)', width: 16 },
+  { key: 'rating', header: 'Rating', width: 10 },
+  { key: 'tuition_fee_inr', header: 'Tuition Fee (INR)', width: 18 },
+  { key: 'year_offered', header: 'Year Offered', width: 14 },
+  { key: 'description', header: 'Description', width: 60 }
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// pg returns NUMERIC as strings; spreadsheets should get real numbers
+const NUMERIC_COLUMNS = new Set(['credits', 'duration_weeks', 'rating', 'tuition_fee_inr', 'year_offered']);
+
+const toCell = (key, value) => {
+  if (value === null || value === undefined) return null;
+  return NUMERIC_COLUMNS.has(key) ? Number(value) : value;
+};
+
+/**
+ * Stream course rows to the response as CSV or XLSX
+ * batches is an async iterable of row arrays; headers are set here
+ */
+async function streamCourseExport(res, format, batches, filename) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  if (format === 'csv') {
+    const csv = stringify({
+      header: true,
+      columns: EXPORT_COLUMNS.map(({ key, header }) => ({ key, header }))
+    });
+    csv.pipe(res);
+
+    // A client that disconnects never drains the stream, so stop waiting when it goes
+    let closed = false;
+    res.once('close', () => { closed = true; });
+    const drainOrClose = () => new Promise(resolve => {
+      const done = () => {
+        csv.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      csv.once('drain', done);
+      res.once('close', done);
+    });
+
+    // Leaving the loop returns the batches generator, so no more rows are queried
+    for await (const rows of batches) {
+      for (const row of rows) {
+        // Respect backpressure so a slow client doesn't buffer the whole export
+        if (!csv.write(row)) {
+          await drainOrClose();
+        }
+        if (closed) break;
+      }
+      if (closed) break;
+    }
+
+    if (closed) {
+      csv.destroy();
+      return;
+    }
+
+    csv.end();
+    await new Promise(resolve => {
+      res.once('finish', resolve);
+      res.once('close', resolve);
+    });
+    return;
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Courses');
+  sheet.columns = EXPORT_COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const rows of batches) {
+    rows.forEach(row => {
+      const cells = Object.fromEntries(EXPORT_COLUMNS.map(({ key }) => [key, toCell(key, row[key])]));
+      sheet.addRow(cells).commit();
+    });
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+// The standard PDF fonts have no rupee glyph
+const formatInr = (amount) => `INR ${Number(amount).toLocaleString('en-IN')}`;
+
+// Rows of the comparison table: label plus how to show the course's value
+const PDF_FIELDS = [
+  { label: 'Course ID', value: course => course.course_id },
+  { label: 'Department', value: course => course.department },
+  { label: 'Level', value: course => course.level },
+  { label: 'Delivery Mode', value: course => course.delivery_mode },
+  { label: 'Credits', value: course => course.credits },
+  { label: 'Duration', value: course => (course.duration_weeks === null ? null : `${course.duration_weeks} weeks`) },
+  { label: 'Rating', value: course => (course.rating === null ? null : `${Number(course.rating).toFixed(1)} / 5`) },
+  { label: 'Tuition Fee', value: course => (course.tuition_fee_inr === null ? null : formatInr(course.tuition_fee_inr)) },
+  { label: 'Year Offered', value: course => course.year_offered }
+];
+
+const formatRange = (range, format = String) => (
+  range.min === null ? 'N/A' : `${format(range.min)} - ${format(range.max)} (avg ${format(range.avg)})`
+);
+
+/**
+ * Write a comparison (the GET /compare response) to the response as a PDF
+ * Lays out the side-by-side table, the insights and, when present, the scoring
+ */
+function writeComparisonPdf(res, comparison, filename) {
+  const { courses, missing_ids: missingIds, insights, scoring } = comparison;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+  doc.pipe(res);
+
+  const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const left = doc.page.margins.left;
+
+  doc.fontSize(18).font('Helvetica-Bold').text('Course Comparison');
+  doc.fontSize(9).font('Helvetica').fillColor('#555555')
+    .text(`Generated ${new Date().toISOString().slice(0, 10)}`)
+    .fillColor('black');
+  doc.moveDown();
+
+  // Side-by-side table: one label column, then one column per course
+  const labelWidth = 110;
+  const columnWidth = (pageWidth - labelWidth) / Math.max(courses.length, 1);
+  const scoreById = Object.fromEntries((scoring?.scores || []).map(entry => [entry.course_id, entry]));
+
+  const rows = [
+    { label: 'Course', value: course => course.course_name, bold: true },
+    ...PDF_FIELDS
+  ];
+  if (scoring) {
+    rows.push({
+      label: 'Score',
+      value: course => `${scoreById[course.course_id].score} (rank ${scoreById[course.course_id].rank})`,
+      bold: true
+    });
+  }
+
+  rows.forEach(row => {
+    const cells = courses.map(course => {
+      const value = row.value(course);
+      return value === null || value === undefined ? 'N/A' : String(value);
+    });
+    doc.fontSize(9).font(row.bold ? 'Helvetica-Bold' : 'Helvetica');
+    const height = Math.max(
+      doc.heightOfString(row.label, { width: labelWidth - 6 }),
+      ...cells.map(cell => doc.heightOfString(cell, { width: columnWidth - 6 }))
+    ) + 6;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const top = doc.y;
+    doc.font('Helvetica-Bold').text(row.label, left, top + 3, { width: labelWidth - 6 });
+    doc.font(row.bold ? 'Helvetica-Bold' : 'Helvetica');
+    cells.forEach((cell, index) => {
+      doc.text(cell, left + labelWidth + index * columnWidth, top + 3, { width: columnWidth - 6 });
+    });
+    doc.moveTo(left, top + height).lineTo(left + pageWidth, top + height).strokeColor('#dddddd').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  });
+
+  doc.moveDown();
+
+  if (missingIds && missingIds.length > 0) {
+    doc.fontSize(9).font('Helvetica').fillColor('#8a6d00')
+      .text(`Not found: ${missingIds.join(', ')}`, left)
+      .fillColor('black');
+    doc.moveDown();
+  }
+
+  if (insights) {
+    doc.fontSize(13).font('Helvetica-Bold').text('Insights', left);
+    doc.fontSize(9).font('Helvetica');
+    doc.text(`Tuition fee: ${formatRange(insights.fee_range, formatInr)}`);
+    doc.text(`Rating: ${formatRange(insights.rating_range)}`);
+    doc.text(`Credits: ${formatRange(insights.credits_range)}`);
+    doc.text(`Levels: ${insights.levels.join(', ') || 'N/A'}`);
+    doc.text(`Delivery modes: ${insights.delivery_modes.join(', ') || 'N/A'}`);
+    doc.text(`Departments: ${insights.departments.join(', ') || 'N/A'}`);
+    doc.moveDown();
+  }
+
+  if (scoring) {
+    const recommended = courses.find(course => course.course_id === scoring.recommended.course_id);
+    const weights = Object.entries(scoring.weights)
+      .filter(([, weight]) => weight > 0)
+      .map(([attribute, weight]) => `${SCORING_ATTRIBUTES[attribute].label} ${Math.round(weight * 100)}%`)
+      .join(', ');
+
+    doc.fontSize(13).font('Helvetica-Bold').text('Recommended', left);
+    doc.fontSize(9).font('Helvetica-Bold')
+      .text(`${recommended.course_name} (${recommended.course_id}) - score ${scoring.recommended.score}`);
+    doc.font('Helvetica');
+    scoring.recommended.reasons.forEach(reason => {
+      // Fees in reasons are pre-formatted with the rupee sign
+      doc.text(`- ${reason.detail.replace(/₹/g, 'INR ')}`);
+    });
+    doc.fillColor('#555555').text(`Weights: ${weights}`).fillColor('black');
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  streamCourseExport,
+  writeComparisonPdf
+};
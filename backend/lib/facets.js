@@ -0,0 +1,121 @@
+const db = require('../db');
+const { buildWhereClause } = require('./queryBuilder');
+
+/**
+ * Facet helpers shared by the filter-options and course search routes
+ * Counts are computed under the caller's active filters so the UI can show
+ * how many results each option would return
+ */
+
+// Categorical columns we report per-value counts for
+const FACET_COLUMNS = ['department', 'level', 'delivery_mode', 'year_offered'];
+
+// Numeric columns we report min/max bounds for
+const RANGE_COLUMNS = ['tuition_fee_inr', 'rating', 'credits', 'duration_weeks'];
+
+// Bucket widths for the histogram facets
+const HISTOGRAM_BUCKETS = {
+  tuition_fee_inr: 25000,
+  rating: 0.5
+};
+
+/**
+ * Count courses per distinct value of each facet column
+ * A column's own condition is left out of its count so picking one
+ * department doesn't report zero for every other department
+ * Returns { department: [{ value, count }], level: [...], ... }
+ */
+async function getFacetCounts(conditions = []) {
+  const results = await Promise.all(FACET_COLUMNS.map(column => {
+    const { whereClause, params } = buildWhereClause(conditions, { exclude: column });
+    const notNull = `${whereClause ? `${whereClause} AND` : 'WHERE'} ${column} IS NOT NULL`;
+    return db.query(
+      `SELECT ${column} AS value, COUNT(*)::int AS count
+       FROM courses
+       ${notNull}
+       GROUP BY ${column}
+       ORDER BY ${column}`,
+      params
+    );
+  }));
+
+  return FACET_COLUMNS.reduce((facets, column, index) => {
+    facets[column] = results[index].rows;
+    return facets;
+  }, {});
+}
+
+/**
+ * Bucket a numeric column into fixed-width ranges
+ * Returns [{ min, max, count }] for non-empty buckets only
+ */
+async function getHistogram(column, bucketSize, whereClause = '', params = []) {
+  const sizeParam = `$${params.length + 1}`;
+  const notNull = `${whereClause ? `${whereClause} AND` : 'WHERE'} ${column} IS NOT NULL`;
+
+  const result = await db.query(
+    `SELECT FLOOR(${column} / ${sizeParam}) * ${sizeParam} AS bucket, COUNT(*)::int AS count
+     FROM courses
+     ${notNull}
+     GROUP BY bucket
+     ORDER BY bucket`,
+    [...params, bucketSize]
+  );
+
+  return result.rows.map(row => {
+    const min = Number(row.bucket);
+    return { min, max: min + bucketSize, count: row.count };
+  });
+}
+
+/**
+ * Histograms for every column in HISTOGRAM_BUCKETS under the full filter set
+ * Returns { tuition_fee_inr: [...], rating: [...] }
+ */
+async function getHistograms(conditions = []) {
+  const { whereClause, params } = buildWhereClause(conditions);
+  const columns = Object.keys(HISTOGRAM_BUCKETS);
+
+  const results = await Promise.all(columns.map(column =>
+    getHistogram(column, HISTOGRAM_BUCKETS[column], whereClause, params)
+  ));
+
+  return columns.reduce((histograms, column, index) => {
+    histograms[column] = results[index];
+    return histograms;
+  }, {});
+}
+
+/**
+ * Get min/max bounds of the numeric filter columns
+ * Returns { tuition_fee_inr: { min, max }, rating: { min, max }, ... }
+ */
+async function getRangeBounds(whereClause = '', params = []) {
+  const selects = RANGE_COLUMNS
+    .map(column => `MIN(${column}) AS min_${column}, MAX(${column}) AS max_${column}`)
+    .join(', ');
+
+  const result = await db.query(`SELECT ${selects} FROM courses ${whereClause}`, params);
+  const row = result.rows[0];
+
+  // pg returns NUMERIC columns as strings, so normalise everything to numbers
+  const toNumber = (value) => (value === null ? null : Number(value));
+
+  return RANGE_COLUMNS.reduce((ranges, column) => {
+    ranges[column] = {
+      min: toNumber(row[`min_${column}`]),
+      max: toNumber(row[`max_${column}`])
+    };
+    return ranges;
+  }, {});
+}
+
+module.exports = {
+  FACET_COLUMNS,
+  RANGE_COLUMNS,
+  HISTOGRAM_BUCKETS,
+  getFacetCounts,
+  getHistogram,
+  getHistograms,
+  getRangeBounds
+};
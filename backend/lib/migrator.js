@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+
+/**
+ * Versioned SQL migrations
+ * Files live in database/migrations as <version>_<name>.up.sql with a matching
+ * .down.sql, and applied versions are tracked in the schema_migrations table
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_(.+)\.up\.sql$/;
+
+/**
+ * Read migration files from disk, ordered by version
+ * Returns [{ version, name, upFile, downFile }]
+ */
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version,
+      name,
+      upFile: path.join(MIGRATIONS_DIR, file),
+      downFile: path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`)
+    }))
+    .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+}
+
+/**
+ * Create the tracking table if this database has never been migrated
+ */
+async function ensureMigrationsTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedVersions() {
+  const result = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+}
+
+/**
+ * Run one migration file and record/unrecord it in a single transaction
+ */
+async function runInTransaction(sql, bookkeeping) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await bookkeeping(client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply every pending migration in version order
+ * Returns the list of migrations that were applied
+ */
+async function migrateUp() {
+  await ensureMigrationsTable();
+  const applied = await getAppliedVersions();
+  const pending = listMigrations().filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    const sql = fs.readFileSync(migration.upFile, 'utf8');
+    await runInTransaction(sql, (client) => client.query(
+      'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+      [migration.version, migration.name]
+    ));
+    console.log(`⬆️  Applied ${migration.version}_${migration.name}`);
+  }
+
+  return pending;
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * Returns the list of migrations that were reverted
+ */
+async function migrateDown(steps = 1) {
+  await ensureMigrationsTable();
+  const applied = await getAppliedVersions();
+  const toRevert = listMigrations()
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of toRevert) {
+    if (!fs.existsSync(migration.downFile)) {
+      throw new Error(`Missing down migration for ${migration.version}_${migration.name}`);
+    }
+    const sql = fs.readFileSync(migration.downFile, 'utf8');
+    await runInTransaction(sql, (client) => client.query(
+      'DELETE FROM schema_migrations WHERE version = $1',
+      [migration.version]
+    ));
+    console.log(`⬇️  Reverted ${migration.version}_${migration.name}`);
+  }
+
+  return toRevert;
+}
+
+/**
+ * List every migration with whether and when it was applied
+ */
+async function getMigrationStatus() {
+  await ensureMigrationsTable();
+  const result = await db.query('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+  return listMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedAt.has(migration.version),
+    applied_at: appliedAt.get(migration.version) || null
+  }));
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  listMigrations,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus
+};
@@ -0,0 +1,166 @@
+const db = require('../db');
+
+/**
+ * Pagination helpers: opaque keyset cursors and total-count strategies
+ *
+ * A cursor encodes the sort signature and the last row's sort-key values.
+ * The next page is "rows that sort after those values", which stays correct
+ * while ingest inserts rows between page loads, unlike LIMIT/OFFSET.
+ * Every ORDER BY built here uses NULLS LAST and ends with course_id, so the
+ * order is total and the keyset predicate below is exact.
+ */
+
+// How the total row count is reported
+const COUNT_MODES = ['exact', 'estimate', 'none'];
+
+/**
+ * Make sure a list of sort keys ends with the unique course_id tiebreaker
+ * Sort keys look like [{ column: 'rating', direction: 'desc' }]
+ */
+function withTiebreaker(sortKeys) {
+  const keys = sortKeys.filter(key => key.column !== 'course_id');
+  const idKey = sortKeys.find(key => key.column === 'course_id') || { column: 'course_id', direction: 'asc' };
+  return [...keys, idKey];
+}
+
+function orderByClause(sortKeys) {
+  return `ORDER BY ${sortKeys
+    .map(key => `${key.column} ${key.direction.toUpperCase()} NULLS LAST`)
+    .join(', ')}`;
+}
+
+/**
+ * Parse a multi-key sort string like "rating:desc,tuition_fee_inr:asc"
+ * A key without a direction gets defaultDirection(column); column and
+ * direction are validated by the caller
+ */
+function parseSortParam(sort, defaultDirection = () => 'asc') {
+  return String(sort)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [column, direction] = part.split(':').map(piece => piece.trim());
+      return { column, direction: direction ? direction.toLowerCase() : defaultDirection(column) };
+    });
+}
+
+const sortSignature = (sortKeys) => sortKeys.map(key => `${key.column}:${key.direction}`).join(',');
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor string; throws an "Invalid cursor" error for anything malformed
+ */
+function decodeCursor(cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor: could not be decoded');
+  }
+
+  if (!payload || typeof payload.k !== 'string' || (!Array.isArray(payload.v) && !Number.isInteger(payload.o))) {
+    throw new Error('Invalid cursor: unexpected format');
+  }
+
+  return payload;
+}
+
+/**
+ * Cursor pointing just after `row` in the given sort order
+ */
+function cursorFromRow(row, sortKeys) {
+  return encodeCursor({
+    k: sortSignature(sortKeys),
+    v: sortKeys.map(key => (row[key.column] === undefined ? null : row[key.column]))
+  });
+}
+
+/**
+ * Cursor for orders that have no stable column keys (e.g. relevance rank),
+ * falling back to an offset
+ */
+function offsetCursor(signature, offset) {
+  return encodeCursor({ k: signature, o: offset });
+}
+
+/**
+ * Condition object (see lib/queryBuilder) selecting rows after the cursor
+ * For keys k1..kn with cursor values v1..vn this is
+ *   (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+ * where "after" means beyond the value in the key's direction, or NULL
+ * (NULLs sort last). Nothing sorts after a NULL value on its own key.
+ */
+function keysetCondition(sortKeys, payload) {
+  if (payload.k !== sortSignature(sortKeys) || !Array.isArray(payload.v) || payload.v.length !== sortKeys.length) {
+    throw new Error('Invalid cursor: it was created for a different sort order');
+  }
+
+  const cursorValues = payload.v;
+
+  return {
+    field: 'cursor',
+    values: cursorValues.filter(value => value !== null),
+    sql: (...placeholders) => {
+      // Map each non-null cursor value to its placeholder
+      let next = 0;
+      const params = cursorValues.map(value => (value === null ? null : placeholders[next++]));
+
+      const branches = sortKeys
+        .map((key, index) => {
+          if (params[index] === null) return null;
+          const equalities = sortKeys.slice(0, index).map((previous, previousIndex) => (
+            params[previousIndex] === null
+              ? `${previous.column} IS NULL`
+              : `${previous.column} = ${params[previousIndex]}`
+          ));
+          const operator = key.direction === 'desc' ? '<' : '>';
+          const after = `(${key.column} ${operator} ${params[index]} OR ${key.column} IS NULL)`;
+          return [...equalities, after].join(' AND ');
+        })
+        .filter(Boolean);
+
+      return branches.length > 0 ? `(${branches.map(branch => `(${branch})`).join(' OR ')})` : 'FALSE';
+    }
+  };
+}
+
+/**
+ * Planner's row estimate for a filtered courses query
+ * Much cheaper than COUNT(*) on large tables, but only approximate
+ */
+async function estimateCount(whereClause = '', params = []) {
+  const result = await db.query(`EXPLAIN (FORMAT JSON) SELECT 1 FROM courses ${whereClause}`, params);
+  const plan = result.rows[0]['QUERY PLAN'];
+  return Math.round((Array.isArray(plan) ? plan[0] : JSON.parse(plan)[0]).Plan['Plan Rows']);
+}
+
+/**
+ * Count rows according to the requested count mode
+ * Returns a number, or null when mode is 'none'
+ */
+async function countRows(mode, whereClause = '', params = []) {
+  if (mode === 'none') return null;
+  if (mode === 'estimate') return estimateCount(whereClause, params);
+
+  const result = await db.query(`SELECT COUNT(*) FROM courses ${whereClause}`, params);
+  return parseInt(result.rows[0].count);
+}
+
+module.exports = {
+  COUNT_MODES,
+  withTiebreaker,
+  orderByClause,
+  parseSortParam,
+  sortSignature,
+  encodeCursor,
+  decodeCursor,
+  cursorFromRow,
+  offsetCursor,
+  keysetCondition,
+  estimateCount,
+  countRows
+};
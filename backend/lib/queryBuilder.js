@@ -0,0 +1,61 @@
+/**
+ * SQL query building helpers
+ * Conditions are kept as { field, values, sql } objects so the same filter set
+ * can be rendered several times with different parameter numbering (e.g.
+ * once for the result page and once per facet with its own filter left out)
+ */
+
+/**
+ * Render a list of conditions into a WHERE clause with numbered placeholders
+ * Each condition's sql() receives one placeholder per entry in its values
+ */
+function buildWhereClause(conditions, { exclude = null, startIndex = 1 } = {}) {
+  const clauses = [];
+  const params = [];
+
+  conditions
+    .filter(condition => exclude === null || condition.field !== exclude)
+    .forEach(condition => {
+      const placeholders = condition.values.map(value => {
+        params.push(value);
+        return `$${startIndex + params.length - 1}`;
+      });
+      clauses.push(condition.sql(...placeholders));
+    });
+
+  return {
+    whereClause: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Read a multi-value query parameter
+ * Accepts repeated keys (?level=UG&level=PG) and comma-separated lists (?level=UG,PG)
+ */
+function parseListParam(value) {
+  if (value === undefined || value === null) return [];
+  const values = (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  return [...new Set(values)];
+}
+
+/**
+ * Condition matching any of several values for one column
+ * `column` may be an expression such as lower(department)
+ */
+function anyOfCondition(field, values, column = field) {
+  return {
+    field,
+    values,
+    sql: (...placeholders) => `${column} IN (${placeholders.join(', ')})`
+  };
+}
+
+module.exports = {
+  buildWhereClause,
+  parseListParam,
+  anyOfCondition
+};
@@ -0,0 +1,396 @@
+/**
+ * Natural language query parsers for POST /api/ask
+ * A parser is { name, parse(question, context) } where parse resolves to
+ * { filters, matches }: the structured filter object executeFilteredQuery
+ * understands, e.g. { department: 'Design', level: 'PG', max_fee: 50000, q: 'ux' },
+ * and the phrase of the question behind each filter, e.g. { level: 'graduate' }
+ * context.departments lists the departments currently in the catalogue and
+ * context.synonyms is the rule parser's synonym dictionary (see lib/synonyms.js)
+ */
+
+const LEVELS = ['UG', 'PG'];
+const DELIVERY_MODES = ['online', 'offline', 'hybrid'];
+
+// Numeric filters: allowed bounds and whether they must be whole numbers
+const NUMERIC_FIELDS = {
+  min_fee: { min: 0, max: 100000000, integer: true },
+  max_fee: { min: 0, max: 100000000, integer: true },
+  min_rating: { min: 0, max: 5, integer: false },
+  max_rating: { min: 0, max: 5, integer: false },
+  min_credits: { min: 0, max: 100, integer: true },
+  max_credits: { min: 0, max: 100, integer: true },
+  min_duration_weeks: { min: 1, max: 520, integer: true },
+  max_duration_weeks: { min: 1, max: 520, integer: true },
+  year_offered: { min: 1900, max: 2100, integer: true },
+  min_year: { min: 1900, max: 2100, integer: true },
+  max_year: { min: 1900, max: 2100, integer: true },
+  max_fee_per_credit: { min: 0, max: 100000000, integer: false }
+};
+
+const RANGE_PAIRS = [
+  ['min_fee', 'max_fee'],
+  ['min_rating', 'max_rating'],
+  ['min_credits', 'max_credits'],
+  ['min_duration_weeks', 'max_duration_weeks'],
+  ['min_year', 'max_year']
+];
+
+// Fields that take one value or a list of alternatives, and the exclusion that goes with each
+const LIST_FIELDS = ['department', 'level', 'delivery_mode'];
+const EXCLUDE_FIELDS = {
+  exclude_department: 'department',
+  exclude_level: 'level',
+  exclude_delivery_mode: 'delivery_mode'
+};
+
+// Columns a question can sort by, e.g. "cheapest" -> tuition_fee_inr:asc
+// fee_per_credit is worked out per course, for "value for money"
+const SORT_COLUMNS = ['rating', 'tuition_fee_inr', 'duration_weeks', 'credits', 'year_offered', 'course_name', 'fee_per_credit'];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const MAX_LIMIT = 100;
+
+const MAX_SEARCH_TERMS_LENGTH = 200;
+
+const FILTER_FIELDS = [
+  ...LIST_FIELDS, ...Object.keys(EXCLUDE_FIELDS), 'q', 'sort', 'limit', ...Object.keys(NUMERIC_FIELDS)
+];
+
+// Words that carry no meaning for a course search
+const FILLER_WORDS = new Set([
+  'i', 'want', 'to', 'find', 'search', 'for', 'show', 'me', 'get', 'list', 'of',
+  'courses', 'course', 'in', 'with', 'that', 'are', 'is', 'and', 'or', 'the',
+  'a', 'an', 'some', 'all', 'any', 'can', 'you', 'please', 'help',
+  // Follow-up glue, e.g. "now only the online ones", "what about those in 2024"
+  'now', 'only', 'ones', 'one', 'also', 'just', 'instead', 'then', 'those', 'these', 'them',
+  'this', 'that', 'than', 'what', 'about', 'how'
+]);
+
+/**
+ * Check filters (from a parser or edited by the user) against the allowed
+ * fields and values
+ * Nulls and empty strings are dropped; anything else unexpected throws an
+ * "Invalid filters" error. Returns the cleaned filters
+ */
+function validateFilters(raw, { departments = [] } = {}) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid filters: expected an object of filters');
+  }
+
+  const filters = {};
+
+  Object.entries(raw).forEach(([field, value]) => {
+    if (!FILTER_FIELDS.includes(field)) {
+      throw new Error(`Invalid filters: unknown field "${field}"`);
+    }
+    if (value === null || value === undefined || value === '') return;
+
+    if (LIST_FIELDS.includes(field) || EXCLUDE_FIELDS[field]) {
+      const values = validateListValues(field, EXCLUDE_FIELDS[field] || field, value, departments);
+      if (values.length > 0) filters[field] = values.length === 1 ? values[0] : values;
+    } else if (field === 'sort') {
+      filters.sort = validateSort(value);
+    } else if (field === 'limit') {
+      const limit = typeof value === 'string' ? Number(value) : value;
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new Error(`Invalid filters: limit must be a whole number from 1 to ${MAX_LIMIT}`);
+      }
+      filters.limit = limit;
+    } else if (field === 'q') {
+      if (typeof value !== 'string' || value.length > MAX_SEARCH_TERMS_LENGTH) {
+        throw new Error(`Invalid filters: q must be a string of at most ${MAX_SEARCH_TERMS_LENGTH} characters`);
+      }
+      if (value.trim()) filters.q = value.trim();
+    } else {
+      const { min, max, integer } = NUMERIC_FIELDS[field];
+      const number = typeof value === 'string' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number) || number < min || number > max ||
+        (integer && !Number.isInteger(number))) {
+        throw new Error(`Invalid filters: ${field} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}`);
+      }
+      filters[field] = number;
+    }
+  });
+
+  RANGE_PAIRS.forEach(([minField, maxField]) => {
+    if (filters[minField] !== undefined && filters[maxField] !== undefined && filters[minField] > filters[maxField]) {
+      throw new Error(`Invalid filters: ${minField} is greater than ${maxField}`);
+    }
+  });
+
+  // A value can't be both wanted and excluded
+  Object.entries(EXCLUDE_FIELDS).forEach(([excludeField, field]) => {
+    const wanted = [].concat(filters[field] || []);
+    const overlap = [].concat(filters[excludeField] || []).find(value => wanted.includes(value));
+    if (overlap) {
+      throw new Error(`Invalid filters: "${overlap}" is in both ${field} and ${excludeField}`);
+    }
+  });
+
+  return filters;
+}
+
+/**
+ * One value or a list of them for department, level, delivery_mode and their
+ * exclusions, in the spelling the database uses. Returns a list without duplicates
+ */
+function validateListValues(field, kind, value, departments) {
+  const values = Array.isArray(value) ? value : [value];
+
+  const cleaned = values.map(item => {
+    if (typeof item !== 'string' || item.trim() === '') {
+      throw new Error(`Invalid filters: ${field} must be a string or a list of strings`);
+    }
+    if (kind === 'department') {
+      // Match case-insensitively but return the catalogue's spelling
+      const department = departments.find(name => name.toLowerCase() === item.trim().toLowerCase());
+      if (!department) {
+        throw new Error(`Invalid filters: unknown department "${item}"`);
+      }
+      return department;
+    }
+    if (kind === 'level') {
+      const level = item.trim().toUpperCase();
+      if (!LEVELS.includes(level)) {
+        throw new Error(`Invalid filters: ${field} must be one of ${LEVELS.join(', ')}`);
+      }
+      return level;
+    }
+    const mode = item.trim().toLowerCase();
+    if (!DELIVERY_MODES.includes(mode)) {
+      throw new Error(`Invalid filters: ${field} must be one of ${DELIVERY_MODES.join(', ')}`);
+    }
+    return mode;
+  });
+
+  return [...new Set(cleaned)];
+}
+
+/**
+ * A sort string like "tuition_fee_inr:asc,rating:desc", the same format as
+ * GET /api/courses?sort=. Returns it normalised
+ */
+function validateSort(value) {
+  const keys = typeof value === 'string'
+    ? value.split(',').map(part => part.trim()).filter(Boolean).map(part => part.split(':').map(piece => piece.trim().toLowerCase()))
+    : [];
+  if (keys.length === 0) {
+    throw new Error('Invalid filters: sort must look like "rating:desc,tuition_fee_inr:asc"');
+  }
+
+  keys.forEach(([column, direction = 'asc']) => {
+    if (!SORT_COLUMNS.includes(column)) {
+      throw new Error(`Invalid filters: sort column "${column}" must be one of ${SORT_COLUMNS.join(', ')}`);
+    }
+    if (!SORT_DIRECTIONS.includes(direction)) {
+      throw new Error(`Invalid filters: sort direction for "${column}" must be asc or desc`);
+    }
+  });
+
+  const columns = keys.map(([column]) => column);
+  if (new Set(columns).size !== columns.length) {
+    throw new Error('Invalid filters: each sort column may only appear once');
+  }
+
+  return keys.map(([column, direction = 'asc']) => `${column}:${direction}`).join(',');
+}
+
+/**
+ * Words of the question that no filter came from and that weren't kept as
+ * search terms, so the UI can show what was not understood
+ * A word counts as used when it is, or contains, a word of a matched phrase
+ */
+function findIgnoredWords(question, { filters, matches }) {
+  const toWords = (text) => text.toLowerCase().split(/\s+/)
+    .map(word => word.replace(/^[^\p{L}\p{N}₹]+|[^\p{L}\p{M}\p{N}]+$/gu, ''))
+    .filter(Boolean);
+
+  const usedWords = [...Object.values(matches), filters.q || ''].flatMap(toWords);
+
+  return [...new Set(toWords(question))].filter(word => (
+    !FILLER_WORDS.has(word) && !usedWords.some(used => word.includes(used))
+  ));
+}
+
+/**
+ * Wrap a synchronous question -> { filters, matches } function as a parser
+ * context.synonyms, when given, replaces the default synonym dictionary
+ */
+function createRuleQueryParser(parseQuestion) {
+  return {
+    name: 'rules',
+    parse: async (question, context = {}) => parseQuestion(question, { synonyms: context.synonyms })
+  };
+}
+
+const SYSTEM_PROMPT = [
+  'You turn a student\'s question about university courses into search filters.',
+  'Call set_course_filters exactly once. Only set a filter the question clearly asks for;',
+  'leave out anything that is not mentioned. Fees are in Indian rupees (INR), ratings are out of 5.',
+  'Put remaining topic words (e.g. "machine learning") in q, without filler words.',
+  'Shorthand fees: 50k = 50000, 1 lakh (1L) = 100000, 1 crore = 10000000. Durations are in weeks (1 month is about 4 weeks).',
+  'Use a list for alternatives ("data science or law") and the exclude_ fields for negations ("not online").',
+  'Superlatives like "cheapest" or "highest rated" set sort; "top 5" sets limit.'
+].join(' ');
+
+/**
+ * JSON schema for the function call, built per request so the department
+ * enum follows the catalogue
+ */
+function filterToolSchema(departments) {
+  const number = (description) => ({ type: 'number', description });
+  // One value or a list of alternatives
+  const oneOrMany = (item, description) => ({ anyOf: [item, { type: 'array', items: item }], description });
+  const department = departments.length > 0 ? { type: 'string', enum: departments } : { type: 'string' };
+  const level = { type: 'string', enum: LEVELS };
+  const deliveryMode = { type: 'string', enum: DELIVERY_MODES };
+  return {
+    type: 'function',
+    function: {
+      name: 'set_course_filters',
+      description: 'Structured filters for a course search',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          department: oneOrMany(department),
+          level: oneOrMany(level, 'UG for undergraduate, PG for postgraduate'),
+          delivery_mode: oneOrMany(deliveryMode),
+          exclude_department: oneOrMany(department, 'Departments the question rules out'),
+          exclude_level: oneOrMany(level, 'Levels the question rules out'),
+          exclude_delivery_mode: oneOrMany(deliveryMode, 'Delivery modes the question rules out'),
+          min_fee: number('Minimum tuition fee in INR'),
+          max_fee: number('Maximum tuition fee in INR'),
+          min_rating: number('Minimum rating, 0-5'),
+          max_rating: number('Maximum rating, 0-5'),
+          min_credits: { type: 'integer' },
+          max_credits: { type: 'integer' },
+          min_duration_weeks: { type: 'integer', description: 'Shortest course length in weeks' },
+          max_duration_weeks: { type: 'integer', description: 'Longest course length in weeks' },
+          year_offered: { type: 'integer', description: 'A single year' },
+          min_year: { type: 'integer', description: 'First year of a range, e.g. "since 2021"' },
+          max_year: { type: 'integer', description: 'Last year of a range' },
+          max_fee_per_credit: number('Maximum tuition fee per credit in INR'),
+          q: { type: 'string', description: 'Topic keywords to search course names and descriptions for' },
+          sort: {
+            type: 'string',
+            description: `Result order as column:asc|desc pairs joined by commas, columns: ${SORT_COLUMNS.join(', ')}`
+          },
+          limit: { type: 'integer', description: `How many results the question asks for, 1-${MAX_LIMIT}` },
+          matched_phrases: {
+            type: 'object',
+            description: 'For each filter set above, the exact words of the question it came from',
+            additionalProperties: { type: 'string' }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Parser that asks an OpenAI-compatible chat completions client for the
+ * filters through function calling
+ * client only needs chat.completions.create(body, { signal }), so tests can
+ * pass a stub. Rejects on timeout, API errors and invalid output
+ */
+function createLlmQueryParser({ client, model, timeoutMs }) {
+  const parse = async (question, { departments = [] } = {}) => {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`LLM parser timed out after ${timeoutMs}ms`);
+        error.code = 'PARSER_TIMEOUT';
+        reject(error);
+        controller.abort();
+      }, timeoutMs);
+    });
+
+    let completion;
+    try {
+      completion = await Promise.race([
+        client.chat.completions.create({
+          model,
+          temperature: 0,
+          messages: [
+            { role: 'system', content: SYSTEM_PROMPT },
+            { role: 'user', content: question }
+          ],
+          tools: [filterToolSchema(departments)],
+          tool_choice: { type: 'function', function: { name: 'set_course_filters' } }
+        }, { signal: controller.signal }),
+        timeout
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const toolCall = completion?.choices?.[0]?.message?.tool_calls?.[0];
+    if (!toolCall || toolCall.function?.name !== 'set_course_filters') {
+      throw new Error('Invalid parser output: the model did not call set_course_filters');
+    }
+
+    let raw;
+    try {
+      raw = JSON.parse(toolCall.function.arguments);
+    } catch (parseError) {
+      throw new Error('Invalid parser output: function arguments are not valid JSON');
+    }
+
+    const { matched_phrases: matchedPhrases, ...rawFilters } = raw || {};
+    const filters = validateFilters(rawFilters, { departments });
+
+    // Keep only phrases that really are in the question, for filters that were set
+    const lowerQuestion = question.toLowerCase();
+    const matches = {};
+    Object.entries(matchedPhrases || {}).forEach(([field, phrase]) => {
+      if (filters[field] !== undefined && field !== 'q' && typeof phrase === 'string' &&
+        phrase.trim() && lowerQuestion.includes(phrase.trim().toLowerCase())) {
+        matches[field] = phrase.trim();
+      }
+    });
+
+    return { filters, matches };
+  };
+
+  return { name: 'llm', parse };
+}
+
+/**
+ * Run the primary parser, falling back when it times out, errors or returns
+ * invalid filters
+ * Returns { filters, matches, parser, fallbackReason } where fallbackReason is
+ * 'timeout', 'invalid_output', 'error' or null
+ */
+async function parseWithFallback(question, { primary, fallback, context = {} }) {
+  if (!primary || primary === fallback) {
+    return { ...(await fallback.parse(question, context)), parser: fallback.name, fallbackReason: null };
+  }
+
+  try {
+    return { ...(await primary.parse(question, context)), parser: primary.name, fallbackReason: null };
+  } catch (error) {
+    let fallbackReason = 'error';
+    if (error.code === 'PARSER_TIMEOUT') {
+      fallbackReason = 'timeout';
+    } else if (error.message.startsWith('Invalid')) {
+      fallbackReason = 'invalid_output';
+    }
+    console.warn(`${primary.name} parser failed (${fallbackReason}), using ${fallback.name}:`, error.message);
+
+    return { ...(await fallback.parse(question, context)), parser: fallback.name, fallbackReason };
+  }
+}
+
+module.exports = {
+  LEVELS,
+  DELIVERY_MODES,
+  FILTER_FIELDS,
+  SORT_COLUMNS,
+  FILLER_WORDS,
+  validateFilters,
+  findIgnoredWords,
+  createRuleQueryParser,
+  createLlmQueryParser,
+  parseWithFallback
+};
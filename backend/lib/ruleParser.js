@@ -0,0 +1,498 @@
+const { FILLER_WORDS } = require('./queryParsers');
+const { getDefaultSynonyms, findPhrases } = require('./synonyms');
+const config = require('./config');
+
+/**
+ * Rule-based parser for Ask AI questions
+ * parseNaturalLanguageQuery turns a question into the filters executeFilteredQuery
+ * understands using a synonym dictionary and regexes, with no external calls.
+ * test/ruleParser.test.js measures it against test/fixtures/askQuestions.json
+ */
+
+// Rupee amounts as they are usually written: "50000", "50,000", "₹50k", "1.5 lakh", "2L", "1 crore"
+// A number followed by credits or stars is not an amount
+const AMOUNT_PATTERN = '(?:rs\\.?|inr|₹)?\\s*(\\d+(?:,\\d+)*(?:\\.\\d+)?)\\s*(k|thousand|lakhs?|lacs?|l|crores?|cr)?\\b(?!\\s*(?:credits?|stars?))';
+const AMOUNT_MULTIPLIERS = { k: 1e3, thousand: 1e3, l: 1e5, lac: 1e5, lakh: 1e5, cr: 1e7, crore: 1e7 };
+
+// Amounts and their units, e.g. "50k", "1.5", "lakh", "₹2,000"; never search terms even when no fee was read
+const AMOUNT_WORD = /^(?:(?:rs\.?|inr|₹)?\d+(?:[.,]\d+)*(?:k|l|cr)?|thousand|lakhs?|lacs?|crores?|rs|inr)$/;
+
+/**
+ * Rupees for a number and its shorthand unit from AMOUNT_PATTERN, e.g. ("1.5", "lakh") -> 150000
+ * Rounded to whole rupees, or to paise with keepPaise ("2500.5 per credit")
+ */
+function parseAmount(number, unit, { keepPaise = false } = {}) {
+  const multiplier = unit ? AMOUNT_MULTIPLIERS[unit.replace(/s$/, '')] : 1;
+  const amount = parseFloat(number.replace(/,/g, '')) * multiplier;
+  return keepPaise ? Math.round(amount * 100) / 100 : Math.round(amount);
+}
+
+// Course lengths are stored in weeks; a semester is taken as 16 weeks
+const WEEKS_PER_UNIT = { week: 1, wk: 1, month: 52 / 12, semester: 16, sem: 16, year: 52, yr: 52 };
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+/**
+ * Weeks for a number (digits or a word like "six") and a unit like "months"
+ */
+function durationInWeeks(number, unit) {
+  const count = NUMBER_WORDS[number] || parseFloat(number);
+  return Math.round(count * WEEKS_PER_UNIT[unit.replace(/s$/, '')]);
+}
+
+// Words that name a filter rather than a topic, never search terms
+const FILTER_NAME_WORDS = new Set([
+  'rating', 'rated', 'star', 'stars', 'credit', 'credits',
+  'fee', 'fees', 'cost', 'costs', 'costing', 'price', 'year'
+]);
+
+/**
+ * Negation cues and the words they cover, e.g. "not online", "except law or design",
+ * "not in the design department". Returns { start, end } spans of the lowercased question
+ */
+function findNegatedSpans(lowerQuestion) {
+  // A cue covers the next word, and further words joined to it by "or"/"and" up to
+  // the next cue, which starts a span of its own ("not online and not law")
+  const cue = '(?:not|no|non|except|excluding|exclude|without|other than|apart from)';
+  const negation = new RegExp(
+    `\\b${cue}[\\s-]+(?:(?:an?|the|any|in|from|fully|purely|entirely)\\s+)*\\S+(?:\\s+(?:or|nor|and)\\s+(?!${cue}[\\s-])\\S+)*`, 'g'
+  );
+  return [...lowerQuestion.matchAll(negation)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+}
+
+/**
+ * Find every value of a synonym table mentioned in the question
+ * Phrases are matched on whole words (see findPhrases); a value's confidence combines
+ * the weights of the different phrases that point to it, and values below
+ * minConfidence are left out, so a vague word like "creative" on its own stays a
+ * search term. Phrases inside a negated span go to excluded instead of included
+ * Returns { included, excluded } lists of { value, phrase, phrases, confidence }, where
+ * phrases are all the synonyms in the question that point to the value
+ */
+function matchSynonymValues(lowerQuestion, table, negatedSpans, minConfidence) {
+  const included = new Map();
+  const excluded = new Map();
+
+  findPhrases(lowerQuestion, table).forEach(({ start, end, candidates }) => {
+    // A phrase starting inside the span is negated as a whole ("except electrical engineering")
+    const negation = negatedSpans.find(span => start >= span.start && start < span.end);
+    const found = negation ? excluded : included;
+    const phrase = lowerQuestion.slice(start, end);
+
+    candidates.forEach(({ value, weight }) => {
+      const item = found.get(value) || { value, start, end, negation, phrases: new Set(), doubt: 1 };
+      // Each different phrase is further evidence: confidence = 1 - product of (1 - weight)
+      if (!item.phrases.has(phrase)) {
+        item.phrases.add(phrase);
+        item.doubt *= 1 - weight;
+      }
+      found.set(value, item);
+    });
+  });
+
+  // Report values in the order the question mentions them; the first value after
+  // a negation cue carries the cue in its phrase, e.g. "except online", "hybrid"
+  const inQuestionOrder = (found) => [...found.values()]
+    .map(item => ({ ...item, confidence: Math.round((1 - item.doubt) * 100) / 100 }))
+    .filter(({ confidence }) => confidence >= minConfidence)
+    .sort((a, b) => a.start - b.start)
+    .map(({ value, start, end, negation, phrases, confidence }, index, items) => ({
+      value,
+      phrase: lowerQuestion.slice(
+        negation && (index === 0 || items[index - 1].negation !== negation) ? negation.start : start,
+        end
+      ),
+      phrases: [...phrases],
+      confidence
+    }));
+  return { included: inQuestionOrder(included), excluded: inQuestionOrder(excluded) };
+}
+
+/**
+ * Parse natural language query into structured filters
+ * Implements rule-based parsing for various query types
+ * Returns { filters, matches, confidence } where matches maps each filter to the phrase
+ * that set it and confidence holds, for filters read from synonyms, how sure the
+ * weakest of their values is (0 to 1)
+ * department, level and delivery_mode hold a list when the question names
+ * alternatives ("data science or law"), and exclude_* fields hold what it rules out
+ * options.synonyms is a dictionary from compileSynonyms, defaulting to the file one
+ */
+function parseNaturalLanguageQuery(question, {
+  synonyms = getDefaultSynonyms(),
+  minConfidence = config.ask.synonymMinConfidence
+} = {}) {
+  const filters = {};
+  const matches = {};
+  const confidence = {};
+
+  // Convert to lowercase for easier pattern matching
+  let lowerQuestion = question.toLowerCase().trim();
+
+  // Blank out a match once it has set a filter, so later steps don't read it again
+  // (e.g. "top 5 rated" as a 5 star rating, or "under 10 weeks" as a fee)
+  const consume = (match) => {
+    lowerQuestion = lowerQuestion.slice(0, match.index) + ' '.repeat(match[0].length) +
+      lowerQuestion.slice(match.index + match[0].length);
+  };
+
+  // Step 1: Detect result limits ("top 5", "first 10") and sort intents ("cheapest", "sort by rating")
+  const limitMatch = lowerQuestion.match(/\b(?:top|first|best)\s+(\d{1,3})\b/) ||
+    lowerQuestion.match(/\b(\d{1,3})\s+(?=(?:cheapest|best|top|highest|lowest|shortest|longest|newest|latest|most|least|fewest)\b)/);
+  if (limitMatch && parseInt(limitMatch[1]) > 0) {
+    filters.limit = Math.min(parseInt(limitMatch[1]), 100);
+    matches.limit = limitMatch[0].trim();
+  }
+
+  const sortIntents = [
+    // Value for money: the lowest fee for each credit earned
+    {
+      regex: /\b(?:(?:cheap(?:est)?|low(?:est)?|least)\s+(?:(?:fees?|cost|price)\s+)?(?:per|a|for each)\s+credit|(?:best\s+)?value\s+for\s+money|best\s+value)\b/,
+      sort: 'fee_per_credit:asc'
+    },
+    { regex: /\b(?:cheapest|least expensive|most affordable|lowest (?:fees?|price|cost))\b/, sort: 'tuition_fee_inr:asc' },
+    { regex: /\b(?:most expensive|priciest|costliest|highest (?:fees?|price|cost))\b/, sort: 'tuition_fee_inr:desc' },
+    { regex: /\b(?:(?:highest|best|top)[\s-]+rated|best)\b/, sort: 'rating:desc' },
+    { regex: /\b(?:lowest|worst)[\s-]+rated\b/, sort: 'rating:asc' },
+    { regex: /\b(?:shortest|quickest)\b/, sort: 'duration_weeks:asc' },
+    { regex: /\blongest\b/, sort: 'duration_weeks:desc' },
+    { regex: /\b(?:most|highest) credits?\b/, sort: 'credits:desc' },
+    { regex: /\b(?:fewest|least|lowest) credits?\b/, sort: 'credits:asc' },
+    { regex: /\b(?:newest|latest|most recent)\b/, sort: 'year_offered:desc' },
+    { regex: /\boldest\b/, sort: 'year_offered:asc' }
+  ];
+
+  // "sort by fee high to low"; without a direction ratings and years go best/newest first
+  const sortByColumns = {
+    rating: 'rating', ratings: 'rating', fee: 'tuition_fee_inr', fees: 'tuition_fee_inr', price: 'tuition_fee_inr',
+    cost: 'tuition_fee_inr', duration: 'duration_weeks', length: 'duration_weeks', credit: 'credits',
+    credits: 'credits', year: 'year_offered', name: 'course_name'
+  };
+  const sortByRegex = new RegExp(
+    `\\b(?:sort|order)(?:ed)?\\s+by\\s+(${Object.keys(sortByColumns).join('|')})\\b` +
+    '(?:\\s+(asc|ascending|desc|descending|(low|high)(?:est)?\\s+to\\s+(?:low|high)(?:est)?))?'
+  );
+
+  // A phrase inside a longer one doesn't count on its own, e.g. "cheapest" in "cheapest per credit"
+  const within = (inner, outer) => inner !== outer && inner.index >= outer.index &&
+    inner.index + inner[0].length <= outer.index + outer[0].length;
+  const sortMatches = sortIntents
+    .map(({ regex, sort }) => ({ match: lowerQuestion.match(regex), sort }))
+    .filter(({ match }) => match)
+    .filter(({ match }, index, found) => !found.some(other => within(match, other.match)));
+  const sortByMatch = lowerQuestion.match(sortByRegex);
+  if (sortByMatch) {
+    const column = sortByColumns[sortByMatch[1]];
+    const [, , direction = '', startsFrom] = sortByMatch;
+    let sortDirection = ['rating', 'year_offered'].includes(column) ? 'desc' : 'asc';
+    if (startsFrom) {
+      sortDirection = startsFrom === 'low' ? 'asc' : 'desc';
+    } else if (direction) {
+      sortDirection = direction.startsWith('desc') ? 'desc' : 'asc';
+    }
+    sortMatches.push({ match: sortByMatch, sort: `${column}:${sortDirection}` });
+  }
+
+  // Several intents sort in the order they were said; a column is only used once
+  const sortKeys = [];
+  const sortPhrases = [];
+  sortMatches.sort((a, b) => a.match.index - b.match.index).forEach(({ match, sort }) => {
+    if (!sortKeys.some(key => key.split(':')[0] === sort.split(':')[0])) {
+      sortKeys.push(sort);
+      sortPhrases.push(match[0].trim());
+    }
+  });
+  if (sortKeys.length === 0 && limitMatch && /^top\b/.test(limitMatch[0])) {
+    // "top 5" on its own means the best rated five
+    sortKeys.push('rating:desc');
+    sortPhrases.push(limitMatch[0].trim());
+  }
+  if (sortKeys.length > 0) {
+    filters.sort = sortKeys.join(',');
+    if (sortPhrases.length > 0) matches.sort = sortPhrases.join(', ');
+  }
+
+  [limitMatch, ...sortMatches.map(({ match }) => match)].filter(Boolean).forEach(consume);
+
+  // Step 2: Detect course length, e.g. "under 10 weeks", "3 months", "semester-long"
+  // Months, semesters and years are approximate, so on their own they match two weeks either way
+  const durationNumber = `(\\d{1,3}(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`;
+  const durationUnit = '(weeks?|wks?|months?|semesters?|sems?|years?|yrs?)';
+  const durationRegexes = [
+    {
+      regex: new RegExp(`\\b(?:between\\s+|from\\s+)?${durationNumber}\\s*(?:-|to|and)\\s*${durationNumber}[\\s-]*${durationUnit}\\b`),
+      handler: (match) => {
+        const weeks = [durationInWeeks(match[1], match[3]), durationInWeeks(match[2], match[3])];
+        return { min_duration_weeks: Math.min(...weeks), max_duration_weeks: Math.max(...weeks) };
+      }
+    },
+    {
+      regex: new RegExp(`\\b(?:under|below|less than|shorter than|at most|max(?:imum)?|up to|within|no (?:more|longer) than)\\s+${durationNumber}[\\s-]*${durationUnit}\\b`),
+      handler: (match) => ({ max_duration_weeks: durationInWeeks(match[1], match[2]) })
+    },
+    {
+      regex: new RegExp(`\\b(?:over|above|more than|longer than|at least|min(?:imum)?)\\s+${durationNumber}[\\s-]*${durationUnit}\\b`),
+      handler: (match) => ({ min_duration_weeks: durationInWeeks(match[1], match[2]) })
+    },
+    {
+      regex: /\b(?:(?:a|one)\s+)?(semester|year)[\s-]+long\b/,
+      handler: (match) => {
+        const weeks = durationInWeeks('1', match[1]);
+        return { min_duration_weeks: weeks - 2, max_duration_weeks: weeks + 2 };
+      }
+    },
+    {
+      regex: new RegExp(`\\b(\\d{1,3}|${Object.keys(NUMBER_WORDS).filter(word => !['a', 'an'].includes(word)).join('|')})[\\s-]*${durationUnit}(?:[\\s-]+long)?\\b`),
+      handler: (match) => {
+        const weeks = durationInWeeks(match[1], match[2]);
+        const slack = /^w/.test(match[2]) ? 0 : 2;
+        return { min_duration_weeks: Math.max(1, weeks - slack), max_duration_weeks: weeks + slack };
+      }
+    }
+  ];
+
+  for (const { regex, handler } of durationRegexes) {
+    const match = lowerQuestion.match(regex);
+    if (match) {
+      const duration = handler(match);
+      Object.assign(filters, duration);
+      Object.keys(duration).forEach(field => { matches[field] = match[0].trim(); });
+      consume(match);
+      break;
+    }
+  }
+
+  // Step 3: Extract years: one year ("in 2024") or a range ("since 2021", "2022-2024", "before 2023")
+  const yearRangeMatch = lowerQuestion.match(/\b(?:between\s+|from\s+)?(20\d{2})\s*(?:-|–|to|and|till|until)\s*(20\d{2})\b/);
+  if (yearRangeMatch) {
+    const years = [parseInt(yearRangeMatch[1]), parseInt(yearRangeMatch[2])];
+    filters.min_year = Math.min(...years);
+    filters.max_year = Math.max(...years);
+    matches.min_year = matches.max_year = yearRangeMatch[0].trim();
+    consume(yearRangeMatch);
+  } else {
+    const yearBounds = [
+      // "after 2021" leaves 2021 out, "since 2021" keeps it
+      { field: 'min_year', regex: /\b(since|from|after|starting(?:\s+(?:from|in))?)\s+(20\d{2})\b/, exclusive: 'after' },
+      { field: 'min_year', regex: /\b()(20\d{2})\s*(?:onwards|or later|and later|and after|\+)/ },
+      { field: 'max_year', regex: /\b(before|until|till|up to|by|no later than)\s+(20\d{2})\b/, exclusive: 'before' },
+      { field: 'max_year', regex: /\b()(20\d{2})\s*(?:or earlier|and earlier|and before)\b/ }
+    ];
+    yearBounds.forEach(({ field, regex, exclusive }) => {
+      const match = lowerQuestion.match(regex);
+      if (!match || filters[field] !== undefined) return;
+      const year = parseInt(match[2]);
+      const step = field === 'min_year' ? 1 : -1;
+      filters[field] = match[1] === exclusive ? year + step : year;
+      matches[field] = match[0].trim();
+      consume(match);
+    });
+  }
+
+  const yearMatch = lowerQuestion.match(/(?:year|in)\s*(20\d{2})/);
+  if (yearMatch && filters.min_year === undefined && filters.max_year === undefined) {
+    filters.year_offered = parseInt(yearMatch[1]);
+    matches.year_offered = yearMatch[0].trim();
+    consume(yearMatch);
+  }
+
+  // Negations like "not online" or "except law" turn a match into an exclusion
+  const negatedSpans = findNegatedSpans(lowerQuestion);
+  const setKeywordFilter = (field, { included, excluded }) => {
+    [[field, included], [`exclude_${field}`, excluded]].forEach(([target, found]) => {
+      if (found.length === 0) return;
+      filters[target] = found.length === 1 ? found[0].value : found.map(({ value }) => value);
+      matches[target] = found.map(({ phrase }) => phrase).join(', ');
+      confidence[target] = Math.min(...found.map(item => item.confidence));
+    });
+  };
+
+  // Step 4: Detect and extract delivery modes, e.g. "online or hybrid", "not offline"
+  setKeywordFilter('delivery_mode', matchSynonymValues(lowerQuestion, synonyms.delivery_mode, negatedSpans, minConfidence));
+
+  // Step 5: Detect and extract level; values are 'UG' or 'PG' to match DB schema
+  setKeywordFilter('level', matchSynonymValues(lowerQuestion, synonyms.level, negatedSpans, minConfidence));
+
+  // Step 6: Detect and extract rating constraints
+  // Read before fees and blanked out, so "rated above 4" is not also a fee above ₹4
+  const ratingRegexes = [
+    {
+      regex: /(?:(?:better|higher)[\s-]+rated\s+than|(?:rating|rated|stars?)\s*(?:above|over|more than|greater than|at least))\s*([0-5](?:\.\d+)?)(?!\d)/i,
+      handler: (match) => ({ min_rating: parseFloat(match[1]) })
+    },
+    {
+      regex: /(?:rating|rated|stars?)\s*(?:below|under|less than|maximum|max)\s*([0-5](?:\.\d+)?)(?!\d)/i,
+      handler: (match) => ({ max_rating: parseFloat(match[1]) })
+    },
+    {
+      regex: /(?:rating|rated|stars?)\s*(?:between|from)\s*([0-5](?:\.\d+)?)(?!\d)\s*(?:and|to|-)\s*([0-5](?:\.\d+)?)(?!\d)/i,
+      handler: (match) => {
+        const rating1 = parseFloat(match[1]);
+        const rating2 = parseFloat(match[2]);
+        return {
+          min_rating: Math.min(rating1, rating2),
+          max_rating: Math.max(rating1, rating2)
+        };
+      }
+    },
+    {
+      regex: /\b([0-5](?:\.\d+)?)(?!\d)\s*(?:star|stars?|rating|rated)/i,
+      handler: (match) => ({ min_rating: parseFloat(match[1]) })
+    }
+  ];
+
+  for (const { regex, handler } of ratingRegexes) {
+    const match = lowerQuestion.match(regex);
+    if (match) {
+      Object.assign(filters, handler(match));
+      Object.keys(handler(match)).forEach(field => { matches[field] = match[0].trim(); });
+      consume(match);
+      break;
+    }
+  }
+
+  // Step 7: Detect and extract fee constraints
+  // Amounts may use shorthand: "under 50k", "1.5 lakh", "2L"
+  // The limit may come before or after "per credit": "under 2000 per credit", "fee per credit under 2000"
+  const perCreditBound = '(?:under|below|less than|max(?:imum)?|up to|at most|within)';
+  const perCreditMatch = lowerQuestion.match(new RegExp(
+    `(?:${perCreditBound}\\s*)?${AMOUNT_PATTERN}\\s*(?:per|/|a|each|for each)\\s*credit\\b`, 'i'
+  )) || lowerQuestion.match(new RegExp(
+    `(?:fees?|costs?|prices?)\\s*(?:per|/|a|each|for each)\\s*credit\\s*(?:(?:is|of)\\s*)?${perCreditBound}\\s*${AMOUNT_PATTERN}`, 'i'
+  ));
+  if (perCreditMatch) {
+    filters.max_fee_per_credit = parseAmount(perCreditMatch[1], perCreditMatch[2], { keepPaise: true });
+    matches.max_fee_per_credit = perCreditMatch[0].trim();
+    consume(perCreditMatch);
+  }
+
+  const feeRegexes = [
+    // Under/below patterns
+    {
+      regex: new RegExp(`(?:under|below|less than|cheaper than|less expensive than|maximum|max|up to|within|budget(?:\\s+(?:of|is))?)\\s*${AMOUNT_PATTERN}`, 'i'),
+      handler: (match) => ({ max_fee: parseAmount(match[1], match[2]) })
+    },
+    // Above/over patterns
+    {
+      regex: new RegExp(`(?:above|over|more than|greater than|minimum|min|at least)\\s*${AMOUNT_PATTERN}`, 'i'),
+      handler: (match) => ({ min_fee: parseAmount(match[1], match[2]) })
+    },
+    // Between patterns; "between 1 and 2 lakh" uses the second unit for both
+    {
+      regex: new RegExp(`(?:between|from)\\s*${AMOUNT_PATTERN}\\s*(?:and|to|-)\\s*${AMOUNT_PATTERN}`, 'i'),
+      handler: (match) => {
+        const fee1 = parseAmount(match[1], match[2] || match[4]);
+        const fee2 = parseAmount(match[3], match[4]);
+        return {
+          min_fee: Math.min(fee1, fee2),
+          max_fee: Math.max(fee1, fee2)
+        };
+      }
+    },
+    // Exact fee patterns
+    {
+      regex: new RegExp(`(?:exactly|costs?|costing|fees?|priced? at)\\s*${AMOUNT_PATTERN}`, 'i'),
+      handler: (match) => {
+        const fee = parseAmount(match[1], match[2]);
+        return { min_fee: fee, max_fee: fee };
+      }
+    }
+  ];
+
+  for (const { regex, handler } of feeRegexes) {
+    const match = lowerQuestion.match(regex);
+    if (match) {
+      Object.assign(filters, handler(match));
+      Object.keys(handler(match)).forEach(field => { matches[field] = match[0].trim(); });
+      break;
+    }
+  }
+
+  // Step 8: Detect and extract credits constraints
+  // Ranges and bounds come before a bare "4 credits", which would otherwise match inside them
+  const creditRegexes = [
+    {
+      regex: /(?:between|from)\s*(\d+)\s*(?:and|to|-)\s*(\d+)\s*credits?/i,
+      handler: (match) => {
+        const credits1 = parseInt(match[1]);
+        const credits2 = parseInt(match[2]);
+        return {
+          min_credits: Math.min(credits1, credits2),
+          max_credits: Math.max(credits1, credits2)
+        };
+      }
+    },
+    {
+      regex: /(?:at least|minimum|min|more than|over|above)\s*(\d+)\s*credits?/i,
+      handler: (match) => ({ min_credits: parseInt(match[1]) + (/^(?:more|over|above)/.test(match[0]) ? 1 : 0) })
+    },
+    {
+      regex: /(?:at most|maximum|max|up to|less than|fewer than|under|below)\s*(\d+)\s*credits?/i,
+      handler: (match) => ({ max_credits: parseInt(match[1]) - (/^(?:less|fewer|under|below)/.test(match[0]) ? 1 : 0) })
+    },
+    {
+      regex: /(\d+)\s*credits?/i,
+      handler: (match) => {
+        const credits = parseInt(match[1]);
+        return { min_credits: credits, max_credits: credits };
+      }
+    }
+  ];
+
+  for (const { regex, handler } of creditRegexes) {
+    const match = lowerQuestion.match(regex);
+    if (match) {
+      Object.assign(filters, handler(match));
+      Object.keys(handler(match)).forEach(field => { matches[field] = match[0].trim(); });
+      break;
+    }
+  }
+
+  // Step 9: Detect departments
+  // Every department named counts, e.g. "data science or law"; "except law" excludes it
+  const departments = matchSynonymValues(lowerQuestion, synonyms.department, negatedSpans, minConfidence);
+  setKeywordFilter('department', departments);
+
+  // Step 10: Extract search terms - improved logic
+  // Remove stop words and extract meaningful terms
+  // Remove already matched terms (delivery mode, level, department synonyms, etc.);
+  // synonyms too vague to set a filter on their own stay as search terms
+  // Words are compared without surrounding punctuation, so "lakh," is "lakh"
+  const toWords = (text) => text.split(/\s+/).map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{M}\p{N}]+$/gu, ''));
+  const matchedWords = new Set(toWords(Object.values(matches).join(' ')));
+
+  // A multi-word topic such as "machine learning" sets the department and stays a search
+  // term, so results are ranked on it; the department's own name ("computer science") does not
+  const topicWords = new Set(departments.included.flatMap(({ value, phrases }) => phrases
+    .filter(phrase => phrase.includes(' ') && phrase !== value.toLowerCase())
+    .flatMap(toWords)));
+
+  let searchTerms = toWords(lowerQuestion).filter(word => {
+    // Skip if a filter came from it, e.g. "not" in "not online"
+    if (matchedWords.has(word) && !topicWords.has(word)) return false;
+
+    // Skip if it's a stop word
+    if (FILLER_WORDS.has(word)) return false;
+    
+    // Skip if it's a number or an amount (likely year, fee, rating, etc.)
+    if (AMOUNT_WORD.test(word)) return false;
+    
+    // Skip if it's too short
+    if (word.length <= 2) return false;
+    
+    // Skip if it names a filter without a value, e.g. "rated" or "fees"
+    return !FILTER_NAME_WORDS.has(word);
+  });
+
+  if (searchTerms.length > 0) {
+    filters.q = searchTerms.join(' ');
+  }
+
+  return { filters, matches, confidence };
+}
+
+module.exports = {
+  parseNaturalLanguageQuery
+};
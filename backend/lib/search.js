@@ -0,0 +1,138 @@
+const db = require('../db');
+
+/**
+ * Full-text search helpers over the courses.search_vector column
+ * Used by /api/courses and /api/ask so both rank and highlight the same way
+ * Trigram (pg_trgm) helpers provide the typo-tolerant fallback
+ */
+
+// Postgres text search configuration (controls stemming and stop words)
+const TS_CONFIG = 'english';
+
+// Minimum pg_trgm word_similarity for a fuzzy match or suggestion
+const FUZZY_THRESHOLD = 0.3;
+
+// ts_headline options: wrap matches in <mark> and keep snippets short
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=18, MinWords=6';
+
+/**
+ * Turn free user text into a to_tsquery() string with prefix matching
+ * "machine lear" -> "machine:* & lear:*", so partially typed words still match
+ * Returns null when the text has no searchable words
+ */
+function toPrefixTsQuery(text, operator = '&') {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  return words.map(word => `${word}:*`).join(` ${operator} `);
+}
+
+const tsQuery = (p) => `to_tsquery('${TS_CONFIG}', ${p})`;
+
+/**
+ * Condition object (see lib/queryBuilder) matching the search vector
+ */
+function textSearchCondition(tsQueryText) {
+  return {
+    field: 'q',
+    values: [tsQueryText],
+    sql: (p) => `search_vector @@ ${tsQuery(p)}`
+  };
+}
+
+/**
+ * SQL expression ranking a row against the query in placeholder p
+ */
+function rankExpression(p) {
+  return `ts_rank(search_vector, ${tsQuery(p)})`;
+}
+
+/**
+ * Condition and expressions for vector search results, passed in placeholder p as a
+ * JSON object of course ID to similarity (see lib/semanticIndex)
+ */
+function semanticMatchCondition(p) {
+  return `${p}::jsonb ? course_id::text`;
+}
+
+function semanticSimilarityExpression(p) {
+  return `COALESCE((${p}::jsonb ->> course_id::text)::float8, 0)`;
+}
+
+/**
+ * SQL expression blending vector similarity with text rank into one relevance score
+ * ts_rank has no fixed scale, so it is divided by the best rank among the matching
+ * rows first; semanticWeight (0-1) is the similarity's share
+ */
+function hybridRankExpression(tsParam, semanticParam, semanticWeight) {
+  const weight = Number(semanticWeight);
+  const textRank = rankExpression(tsParam);
+  return `(${weight} * ${semanticSimilarityExpression(semanticParam)} + ` +
+    `(1 - ${weight}) * COALESCE(${textRank} / NULLIF(MAX(${textRank}) OVER (), 0), 0))`;
+}
+
+/**
+ * SQL expression returning column text with matched terms wrapped in <mark>
+ */
+function headlineExpression(column, p) {
+  return `ts_headline('${TS_CONFIG}', coalesce(${column}, ''), ${tsQuery(p)}, '${HEADLINE_OPTIONS}')`;
+}
+
+/**
+ * SQL expression scoring how closely the text in placeholder p matches a row
+ * word_similarity compares against the best-matching part of the column,
+ * so "machne" still scores well against "Introduction to Machine Learning"
+ */
+function fuzzyRankExpression(p) {
+  return `GREATEST(word_similarity(${p}, course_name), word_similarity(${p}, coalesce(department, '')))`;
+}
+
+/**
+ * Condition object matching rows whose name or department is close to the text
+ */
+function fuzzySearchCondition(text) {
+  return {
+    field: 'q',
+    values: [text],
+    sql: (p) => `${fuzzyRankExpression(p)} >= ${FUZZY_THRESHOLD}`
+  };
+}
+
+/**
+ * Course names and departments that look like what the user meant to type
+ * Returns up to `limit` distinct strings, closest first
+ */
+async function getSearchSuggestions(text, limit = 5) {
+  const result = await db.query(
+    `SELECT term, MAX(score) AS score
+     FROM (
+       SELECT course_name AS term, similarity(course_name, $1) AS score
+       FROM courses
+       WHERE word_similarity($1, course_name) >= $2
+       UNION ALL
+       SELECT department AS term, similarity(department, $1) AS score
+       FROM courses
+       WHERE department IS NOT NULL AND word_similarity($1, department) >= $2
+     ) candidates
+     GROUP BY term
+     ORDER BY score DESC, term ASC
+     LIMIT $3`,
+    [text, FUZZY_THRESHOLD, limit]
+  );
+
+  return result.rows.map(row => row.term);
+}
+
+module.exports = {
+  TS_CONFIG,
+  FUZZY_THRESHOLD,
+  toPrefixTsQuery,
+  textSearchCondition,
+  rankExpression,
+  headlineExpression,
+  semanticMatchCondition,
+  semanticSimilarityExpression,
+  hybridRankExpression,
+  fuzzyRankExpression,
+  fuzzySearchCondition,
+  getSearchSuggestions
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const db = require('../db');
+const config = require('./config');
+const { createCache } = require('./cache');
+const {
+  courseEmbeddingText,
+  cosineSimilarity,
+  createLocalEmbeddingProvider,
+  createOpenAIEmbeddingProvider
+} = require('./embeddings');
+
+/**
+ * Semantic course search for /api/ask
+ * Course vectors are kept in the course_embeddings table and scored in the server
+ * process: the catalogue is small enough to compare a question against every course,
+ * and no database extension is needed. The loaded index is cached for a few minutes
+ * (each server process has its own copy) and rebuilt after courses are embedded
+ */
+
+const indexCache = createCache({ maxEntries: 1, ttlMs: 5 * 60 * 1000 });
+
+// Courses sent to the provider in one call
+const EMBED_BATCH_SIZE = 64;
+
+let embeddingProvider;
+
+/**
+ * The provider picked by config.ask.embeddings, or null when semantic search is off
+ * "openai" without an API key also turns it off rather than mixing in local vectors
+ * Built on first use so the local setup never loads the OpenAI client
+ */
+function getEmbeddingProvider() {
+  if (config.ask.embeddings === 'off') return null;
+  if (config.ask.embeddings === 'openai' && !process.env.OPENAI_API_KEY) return null;
+
+  if (!embeddingProvider) {
+    if (config.ask.embeddings === 'openai') {
+      const OpenAI = require('openai');
+      embeddingProvider = createOpenAIEmbeddingProvider({
+        client: new OpenAI({ apiKey: process.env.OPENAI_API_KEY }),
+        model: config.ask.embeddingModel,
+        dimensions: config.ask.embeddingDimensions
+      });
+    } else {
+      embeddingProvider = createLocalEmbeddingProvider({ dimensions: config.ask.embeddingDimensions });
+    }
+  }
+  return embeddingProvider;
+}
+
+const contentHash = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Embed courses whose name, department or description changed since they were last
+ * embedded with the current provider; all courses, or only the given IDs
+ * Returns { embedded, unchanged }
+ */
+async function embedCourses(courseIds = null) {
+  const provider = getEmbeddingProvider();
+  if (!provider || (courseIds && courseIds.length === 0)) return { embedded: 0, unchanged: 0 };
+
+  // Step 1: Load the courses with the hash of the text they were embedded from
+  const result = await db.query(
+    `SELECT c.course_id, c.course_name, c.department, c.description, e.content_hash
+     FROM courses c
+     LEFT JOIN course_embeddings e ON e.course_id = c.course_id AND e.provider = $1
+     ${courseIds ? 'WHERE c.course_id = ANY($2::text[])' : ''}
+     ORDER BY c.course_id`,
+    courseIds ? [provider.name, courseIds] : [provider.name]
+  );
+
+  // Step 2: Keep the ones whose text is new or changed
+  const pending = result.rows
+    .map(row => {
+      const text = courseEmbeddingText(row);
+      return { course_id: row.course_id, text, hash: contentHash(text), storedHash: row.content_hash };
+    })
+    .filter(course => course.hash !== course.storedHash);
+
+  // Step 3: Embed them in batches and store the vectors
+  for (let start = 0; start < pending.length; start += EMBED_BATCH_SIZE) {
+    const batch = pending.slice(start, start + EMBED_BATCH_SIZE);
+    const vectors = await provider.embed(batch.map(course => course.text));
+    for (let i = 0; i < batch.length; i++) {
+      await db.query(
+        `INSERT INTO course_embeddings (course_id, provider, embedding, content_hash, updated_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (course_id) DO UPDATE SET
+           provider = EXCLUDED.provider,
+           embedding = EXCLUDED.embedding,
+           content_hash = EXCLUDED.content_hash,
+           updated_at = NOW()`,
+        [batch[i].course_id, provider.name, vectors[i], batch[i].hash]
+      );
+    }
+  }
+
+  if (pending.length > 0) indexCache.clear();
+  return { embedded: pending.length, unchanged: result.rows.length - pending.length };
+}
+
+/**
+ * Every stored course vector for the provider, as [{ course_id, vector }]
+ */
+async function getSemanticIndex(provider) {
+  const cached = indexCache.get(provider.name);
+  if (cached) return cached;
+
+  const result = await db.query(
+    'SELECT course_id, embedding FROM course_embeddings WHERE provider = $1',
+    [provider.name]
+  );
+  const index = result.rows.map(row => ({ course_id: row.course_id, vector: row.embedding.map(Number) }));
+  indexCache.set(provider.name, index);
+  return index;
+}
+
+/**
+ * Courses closest in meaning to the text, most similar first
+ * Keeps at most config.ask.semanticCandidates with a similarity of at least
+ * config.ask.semanticMinSimilarity. Resolves to null when semantic search is off or
+ * no course has been embedded yet, so callers can tell that from "nothing similar"
+ * Returns { provider, matches: [{ course_id, similarity }] }
+ */
+async function findSimilarCourses(text) {
+  const provider = getEmbeddingProvider();
+  if (!provider || !String(text || '').trim()) return null;
+
+  const index = await getSemanticIndex(provider);
+  if (index.length === 0) return null;
+
+  const [queryVector] = await provider.embed([String(text)]);
+  const matches = index
+    .map(entry => ({ course_id: entry.course_id, similarity: cosineSimilarity(queryVector, entry.vector) }))
+    .filter(match => match.similarity >= config.ask.semanticMinSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, config.ask.semanticCandidates);
+
+  return { provider: provider.name, matches };
+}
+
+module.exports = {
+  getEmbeddingProvider,
+  embedCourses,
+  findSimilarCourses
+};
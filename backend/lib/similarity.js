@@ -0,0 +1,165 @@
+const db = require('../db');
+
+/**
+ * "Similar courses" scoring over the course attributes
+ * Every candidate gets a weighted score in [0, 1] plus a list of the
+ * attributes that matched, so advisors can see why it was suggested
+ */
+
+// Relative importance of each attribute; weights sum to 1
+const SIMILARITY_WEIGHTS = {
+  department: 0.25,
+  course_name: 0.15,
+  level: 0.1,
+  delivery_mode: 0.1,
+  tuition_fee_inr: 0.15,
+  rating: 0.1,
+  credits: 0.075,
+  duration_weeks: 0.075
+};
+
+// An attribute counts as "matched" in the explanation from this similarity up
+const MATCH_THRESHOLD = 0.8;
+
+// Words that say nothing about a course's subject
+const NAME_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'to', 'for', 'in', 'on', 'with',
+  'introduction', 'intro', 'advanced', 'basics', 'fundamentals', 'principles', 'i', 'ii', 'iii'
+]);
+
+const COURSE_COLUMNS = `course_id, course_name, department, level, delivery_mode, credits,
+  duration_weeks, rating, tuition_fee_inr, year_offered`;
+
+/**
+ * Lowercase subject words of a course name, with a light plural strip
+ */
+function nameTokens(name) {
+  return new Set(
+    String(name || '')
+      .toLowerCase()
+      .match(/[a-z0-9]+/g)
+      ?.filter(word => !NAME_STOP_WORDS.has(word))
+      .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word)) || []
+  );
+}
+
+/**
+ * 1 when equal, falling towards 0 as the relative difference grows
+ * Returns null when either side is missing so the attribute is skipped
+ */
+function numericSimilarity(a, b, scale = null) {
+  if (a === null || a === undefined || b === null || b === undefined) return null;
+  const x = Number(a);
+  const y = Number(b);
+  const denominator = scale || Math.max(Math.abs(x), Math.abs(y));
+  if (denominator === 0) return 1;
+  return Math.max(0, 1 - Math.abs(x - y) / denominator);
+}
+
+const formatInr = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`;
+
+/**
+ * Score how similar a candidate course is to the target course
+ * Returns { score, matched: [{ attribute, similarity, detail }] }
+ */
+function scoreSimilarity(target, candidate) {
+  const attributes = [];
+
+  const addCategorical = (attribute, label) => {
+    if (!target[attribute] || !candidate[attribute]) return;
+    const same = String(target[attribute]).toLowerCase() === String(candidate[attribute]).toLowerCase();
+    attributes.push({ attribute, similarity: same ? 1 : 0, detail: `Same ${label} (${candidate[attribute]})` });
+  };
+
+  const addNumeric = (attribute, scale, label, format) => {
+    const similarity = numericSimilarity(target[attribute], candidate[attribute], scale);
+    if (similarity === null) return;
+    const [a, b] = [format(target[attribute]), format(candidate[attribute])];
+    const detail = a === b ? `Same ${label} (${b})` : `Similar ${label} (${b} vs ${a})`;
+    attributes.push({ attribute, similarity, detail });
+  };
+
+  addCategorical('department', 'department');
+  addCategorical('level', 'level');
+  addCategorical('delivery_mode', 'delivery mode');
+
+  // Shared subject words in the name (Jaccard overlap)
+  const targetWords = nameTokens(target.course_name);
+  const candidateWords = nameTokens(candidate.course_name);
+  const shared = [...targetWords].filter(word => candidateWords.has(word));
+  const union = new Set([...targetWords, ...candidateWords]).size;
+  if (union > 0) {
+    attributes.push({
+      attribute: 'course_name',
+      // A single shared subject word is already a strong signal
+      similarity: shared.length > 0 ? Math.max(shared.length / union, MATCH_THRESHOLD) : 0,
+      detail: `Shares keywords: ${shared.join(', ')}`
+    });
+  }
+
+  addNumeric('tuition_fee_inr', null, 'fee', formatInr);
+  addNumeric('rating', 5, 'rating', (value) => Number(value).toFixed(1));
+  addNumeric('credits', null, 'credits', String);
+  addNumeric('duration_weeks', null, 'duration', (value) => `${value} weeks`);
+
+  // Normalise over the attributes both courses actually have
+  const totalWeight = attributes.reduce((sum, item) => sum + SIMILARITY_WEIGHTS[item.attribute], 0);
+  const weighted = attributes.reduce((sum, item) => sum + SIMILARITY_WEIGHTS[item.attribute] * item.similarity, 0);
+
+  return {
+    score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 1000) / 1000 : 0,
+    matched: attributes
+      .filter(item => item.similarity >= MATCH_THRESHOLD)
+      .sort((a, b) => SIMILARITY_WEIGHTS[b.attribute] - SIMILARITY_WEIGHTS[a.attribute])
+      .map(item => ({
+        attribute: item.attribute,
+        similarity: Math.round(item.similarity * 100) / 100,
+        detail: item.detail
+      }))
+  };
+}
+
+/**
+ * Find the courses most similar to courseId
+ * With cheaperOnly, only courses with a lower fee than the target are considered
+ * Returns null if the course does not exist, else { course, similar, candidatesConsidered }
+ */
+async function findSimilarCourses(courseId, { limit = 5, cheaperOnly = false } = {}) {
+  const targetResult = await db.query(`SELECT ${COURSE_COLUMNS} FROM courses WHERE course_id = $1`, [courseId]);
+  if (targetResult.rows.length === 0) return null;
+
+  const course = targetResult.rows[0];
+
+  // The catalogue is small enough to score in memory
+  const conditions = ['course_id <> $1'];
+  const params = [courseId];
+  if (cheaperOnly && course.tuition_fee_inr !== null) {
+    conditions.push('tuition_fee_inr < $2');
+    params.push(course.tuition_fee_inr);
+  }
+
+  const candidateResult = await db.query(
+    `SELECT ${COURSE_COLUMNS} FROM courses WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+
+  const similar = candidateResult.rows
+    .map(candidate => {
+      const { score, matched } = scoreSimilarity(course, candidate);
+      return { ...candidate, similarity: score, matched };
+    })
+    .sort((a, b) => b.similarity - a.similarity || a.course_id.localeCompare(b.course_id))
+    .slice(0, limit);
+
+  return {
+    course,
+    similar,
+    candidatesConsidered: candidateResult.rows.length
+  };
+}
+
+module.exports = {
+  SIMILARITY_WEIGHTS,
+  scoreSimilarity,
+  findSimilarCourses
+};
@@ -0,0 +1,77 @@
+const db = require('../db');
+const { createCache } = require('./cache');
+const { toPrefixTsQuery, textSearchCondition } = require('./search');
+
+/**
+ * Autocomplete lookups for the course search box
+ * Results are cached per (prefix, limit) since typeahead repeats the same
+ * few prefixes constantly; POST /api/ingest clears the cache
+ */
+
+const suggestCache = createCache({ maxEntries: 500, ttlMs: 5 * 60 * 1000 });
+
+// Max departments returned alongside course matches
+const DEPARTMENT_SUGGESTION_LIMIT = 5;
+
+/**
+ * Escape LIKE wildcards so user input only ever matches literally
+ */
+const toLikePrefix = (prefix) => `${prefix.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`;
+
+/**
+ * Courses whose name or ID starts with the prefix, plus courses with any
+ * word starting with it (e.g. "learn" -> "Machine Learning")
+ * Leading-prefix matches are listed first, then by rating
+ * Returns { courses: [{ course_id, course_name, department }], departments: [{ value, count }] }
+ */
+async function getCourseSuggestions(prefix, limit) {
+  const cacheKey = `${prefix.toLowerCase()}|${limit}`;
+  const cached = suggestCache.get(cacheKey);
+  if (cached) return cached;
+
+  const likePrefix = toLikePrefix(prefix);
+  const tsQueryText = toPrefixTsQuery(prefix);
+
+  const startsWith = '(lower(course_name) LIKE $1 OR lower(course_id) LIKE $1)';
+  const wordMatch = tsQueryText ? ` OR ${textSearchCondition(tsQueryText).sql('$3')}` : '';
+
+  const [courseResult, departmentResult] = await Promise.all([
+    db.query(
+      `SELECT course_id, course_name, department
+       FROM courses
+       WHERE ${startsWith}${wordMatch}
+       ORDER BY ${startsWith} DESC, rating DESC NULLS LAST, course_name ASC
+       LIMIT $2`,
+      tsQueryText ? [likePrefix, limit, tsQueryText] : [likePrefix, limit]
+    ),
+    db.query(
+      `SELECT department AS value, COUNT(*)::int AS count
+       FROM courses
+       WHERE lower(department) LIKE $1
+       GROUP BY department
+       ORDER BY count DESC, department ASC
+       LIMIT $2`,
+      [likePrefix, DEPARTMENT_SUGGESTION_LIMIT]
+    )
+  ]);
+
+  const suggestions = {
+    courses: courseResult.rows,
+    departments: departmentResult.rows
+  };
+
+  suggestCache.set(cacheKey, suggestions);
+  return suggestions;
+}
+
+/**
+ * Drop cached suggestions, e.g. after new courses are ingested
+ */
+function clearSuggestCache() {
+  suggestCache.clear();
+}
+
+module.exports = {
+  getCourseSuggestions,
+  clearSuggestCache
+};
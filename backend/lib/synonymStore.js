@@ -0,0 +1,112 @@
+const db = require('../db');
+const { createCache } = require('./cache');
+const { LEVELS, DELIVERY_MODES } = require('./queryParsers');
+const { SYNONYM_FIELDS, MAX_PHRASE_WORDS, normalisePhrase, readSynonymFile, compileSynonyms } = require('./synonyms');
+
+/**
+ * Synonyms admins add through /api/ask/synonyms, kept in the ask_synonyms table
+ * The dictionary the parser uses is the file plus these rows; it is cached for a few
+ * minutes (each server process has its own copy) and rebuilt when a row changes
+ */
+
+const dictionaryCache = createCache({ maxEntries: 1, ttlMs: 5 * 60 * 1000 });
+
+const MAX_VALUE_LENGTH = 100;
+const MAX_PHRASE_LENGTH = 100;
+
+/**
+ * Every stored synonym, with weight as a number
+ */
+async function listStoredSynonyms() {
+  const result = await db.query(
+    'SELECT id, field, value, phrase, weight, created_at FROM ask_synonyms ORDER BY field, value, phrase'
+  );
+  return result.rows.map(row => ({ ...row, weight: Number(row.weight) }));
+}
+
+/**
+ * The compiled dictionary for the rule parser: file synonyms, then stored ones
+ * Falls back to the file alone when the table can't be read (e.g. before migrating)
+ */
+async function getSynonymDictionary() {
+  const cached = dictionaryCache.get('dictionary');
+  if (cached) return cached;
+
+  let stored = [];
+  try {
+    stored = await listStoredSynonyms();
+  } catch (error) {
+    console.warn('Stored synonyms unavailable, using the dictionary file only:', error.message);
+  }
+
+  const dictionary = compileSynonyms([...readSynonymFile(), ...stored]);
+  dictionaryCache.set('dictionary', dictionary);
+  return dictionary;
+}
+
+/**
+ * Check a synonym from a request body
+ * Returns { field, value, phrase, weight } with the phrase normalised, or throws
+ * an "Invalid synonym: ..." error
+ */
+function validateSynonym({ field, value, phrase, weight = 1 } = {}) {
+  if (!SYNONYM_FIELDS.includes(field)) {
+    throw new Error(`Invalid synonym: field must be one of ${SYNONYM_FIELDS.join(', ')}`);
+  }
+
+  const allowedValues = { level: LEVELS, delivery_mode: DELIVERY_MODES }[field];
+  const trimmedValue = typeof value === 'string' ? value.trim() : '';
+  if (!trimmedValue || trimmedValue.length > MAX_VALUE_LENGTH ||
+    (allowedValues && !allowedValues.includes(trimmedValue))) {
+    throw new Error(allowedValues
+      ? `Invalid synonym: value for ${field} must be one of ${allowedValues.join(', ')}`
+      : `Invalid synonym: value must be a department name of at most ${MAX_VALUE_LENGTH} characters`);
+  }
+
+  const normalised = typeof phrase === 'string' ? normalisePhrase(phrase) : '';
+  const wordCount = normalised ? normalised.split(' ').length : 0;
+  if (wordCount === 0 || wordCount > MAX_PHRASE_WORDS || normalised.length > MAX_PHRASE_LENGTH) {
+    throw new Error(`Invalid synonym: phrase must have 1 to ${MAX_PHRASE_WORDS} words`);
+  }
+
+  const numericWeight = Number(weight);
+  if (typeof weight === 'boolean' || !Number.isFinite(numericWeight) || numericWeight < 0 || numericWeight > 1) {
+    throw new Error('Invalid synonym: weight must be a number from 0 to 1');
+  }
+
+  return { field, value: trimmedValue, phrase: normalised, weight: Math.round(numericWeight * 100) / 100 };
+}
+
+/**
+ * Store a synonym, or update the weight of the same field, value and phrase
+ * Weight 0 switches off a synonym from the file
+ */
+async function saveSynonym(input) {
+  const { field, value, phrase, weight } = validateSynonym(input);
+  const result = await db.query(
+    `INSERT INTO ask_synonyms (field, value, phrase, weight)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (field, value, phrase) DO UPDATE SET weight = EXCLUDED.weight
+     RETURNING id, field, value, phrase, weight, created_at`,
+    [field, value, phrase, weight]
+  );
+  dictionaryCache.clear();
+  return { ...result.rows[0], weight: Number(result.rows[0].weight) };
+}
+
+/**
+ * Delete a stored synonym; resolves to false when there was none with that ID
+ */
+async function deleteSynonym(id) {
+  const result = await db.query('DELETE FROM ask_synonyms WHERE id = $1 RETURNING id', [id]);
+  dictionaryCache.clear();
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  listStoredSynonyms,
+  getSynonymDictionary,
+  validateSynonym,
+  saveSynonym,
+  deleteSynonym
+};
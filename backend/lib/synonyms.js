@@ -0,0 +1,128 @@
+const fs = require('fs');
+const config = require('./config');
+
+/**
+ * Synonym dictionary for the Ask rule parser
+ * Phrases like "data science", "on-campus" or "MBA" map to department, level and
+ * delivery mode values, each with a weight from 0 to 1 saying how surely the phrase
+ * means that value. The defaults live in database/ask_synonyms.json; synonyms added
+ * through /api/ask/synonyms are stored on top of them (see lib/synonymStore.js)
+ */
+
+const SYNONYM_FIELDS = ['department', 'level', 'delivery_mode'];
+
+// Longest phrase, in words, a synonym may be
+const MAX_PHRASE_WORDS = 5;
+
+/**
+ * Split text into lowercase words with their positions in it
+ * Words are runs of letters (with their vowel signs, for Hindi) and digits, so
+ * "on-campus" and "on campus" are the same two words and "b.tech" is "b tech";
+ * an apostrophe stays inside one ("bachelor's")
+ * Returns [{ word, start, end }]
+ */
+function tokenize(text) {
+  return [...text.toLowerCase().matchAll(/[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}]+)*/gu)].map(match => ({
+    word: match[0].replace(/’/g, "'"),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * A phrase as the matcher compares it, e.g. "Web-Based" -> "web based"
+ */
+function normalisePhrase(phrase) {
+  return tokenize(String(phrase)).map(({ word }) => word).join(' ');
+}
+
+/**
+ * Read a dictionary file shaped { field: { value: [phrase | { phrase, weight }] } }
+ * A plain phrase has weight 1. Returns a flat list of { field, value, phrase, weight }
+ */
+function readSynonymFile(filePath = config.ask.synonymsFile) {
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return SYNONYM_FIELDS.flatMap(field => Object.entries(content[field] || {}).flatMap(([value, phrases]) =>
+    phrases.map(entry => (typeof entry === 'string'
+      ? { field, value, phrase: entry, weight: 1 }
+      : { field, value, phrase: entry.phrase, weight: entry.weight ?? 1 }))));
+}
+
+/**
+ * Index synonym entries for matching: per field, each normalised phrase with the
+ * values it may mean. A later entry for the same field, value and phrase replaces an
+ * earlier one, so stored synonyms override the file, and weight 0 switches one off
+ * Returns { [field]: { phrases: Map<phrase, [{ value, weight }]>, longest } }
+ */
+function compileSynonyms(entries) {
+  const latest = new Map();
+  entries.forEach(entry => {
+    const phrase = normalisePhrase(entry.phrase);
+    if (!phrase || !SYNONYM_FIELDS.includes(entry.field)) return;
+    latest.set(`${entry.field}|${entry.value}|${phrase}`, { ...entry, phrase, weight: Number(entry.weight) });
+  });
+
+  const dictionary = Object.fromEntries(SYNONYM_FIELDS.map(field => [field, { phrases: new Map(), longest: 0 }]));
+  latest.forEach(({ field, value, phrase, weight }) => {
+    if (!(weight > 0)) return;
+    const table = dictionary[field];
+    if (!table.phrases.has(phrase)) table.phrases.set(phrase, []);
+    table.phrases.get(phrase).push({ value, weight: Math.min(1, weight) });
+    table.longest = Math.max(table.longest, phrase.split(' ').length);
+  });
+  return dictionary;
+}
+
+let defaultSynonyms = null;
+
+/**
+ * The compiled dictionary file, read once; used when no dictionary is passed in
+ */
+function getDefaultSynonyms() {
+  if (!defaultSynonyms) defaultSynonyms = compileSynonyms(readSynonymFile());
+  return defaultSynonyms;
+}
+
+/**
+ * Find the phrases of one field's table in the text
+ * Scans word by word and tries the longest phrase first, so "history of art" is one
+ * phrase rather than "history" and "art". Only whole words match ("ee" is not found
+ * in "fees"); a plural "s" on a word longer than three letters is optional
+ * Returns [{ start, end, candidates: [{ value, weight }] }] in text order
+ */
+function findPhrases(text, table) {
+  const tokens = tokenize(text);
+  const found = [];
+  let index = 0;
+
+  while (index < tokens.length) {
+    let hit = null;
+    for (let length = Math.min(table.longest, tokens.length - index); length > 0 && !hit; length--) {
+      const phrase = tokens.slice(index, index + length).map(({ word }) => word).join(' ');
+      const candidates = table.phrases.get(phrase) ||
+        (phrase.length > 3 && phrase.endsWith('s') ? table.phrases.get(phrase.slice(0, -1)) : undefined);
+      if (candidates) {
+        hit = { start: tokens[index].start, end: tokens[index + length - 1].end, length, candidates };
+      }
+    }
+
+    if (hit) {
+      found.push({ start: hit.start, end: hit.end, candidates: hit.candidates });
+      index += hit.length;
+    } else {
+      index++;
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  SYNONYM_FIELDS,
+  MAX_PHRASE_WORDS,
+  tokenize,
+  normalisePhrase,
+  readSynonymFile,
+  compileSynonyms,
+  getDefaultSynonyms,
+  findPhrases
+};
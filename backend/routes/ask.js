@@ -1,38 +1,241 @@
 const express = require('express');
 const db = require('../db');
+const {
+  toPrefixTsQuery,
+  textSearchCondition,
+  rankExpression,
+  headlineExpression,
+  semanticMatchCondition,
+  semanticSimilarityExpression,
+  hybridRankExpression
+} = require('../lib/search');
+const {
+  COUNT_MODES,
+  withTiebreaker,
+  orderByClause,
+  decodeCursor,
+  cursorFromRow,
+  parseSortParam,
+  sortSignature,
+  offsetCursor,
+  keysetCondition,
+  countRows
+} = require('../lib/pagination');
+const {
+  SORT_COLUMNS,
+  validateFilters,
+  findIgnoredWords,
+  createRuleQueryParser,
+  createLlmQueryParser,
+  parseWithFallback
+} = require('../lib/queryParsers');
+const {
+  getSession,
+  saveSession,
+  referenceFromResults,
+  detectReset,
+  diffFilters,
+  extractFollowUpIntents,
+  applyFollowUp
+} = require('../lib/askSessions');
+const { parseNaturalLanguageQuery } = require('../lib/ruleParser');
+const { normaliseQuestion } = require('../lib/askLanguages');
+const { getSynonymDictionary } = require('../lib/synonymStore');
+const { findSimilarCourses } = require('../lib/semanticIndex');
+const config = require('../lib/config');
 const router = express.Router();
 
+const ruleParser = createRuleQueryParser(parseNaturalLanguageQuery);
+let llmParser = null;
+
+// Questions, filters and SQL are only logged when config.ask.debugLog is on
+const debugLog = (...args) => {
+  if (config.ask.debugLog) console.log(...args);
+};
+
+/**
+ * The LLM parser when config.ask.parser is "llm" and an API key is set, else null
+ * Built on first use so the rule-only setup never loads the OpenAI client
+ */
+function getLlmParser() {
+  if (config.ask.parser !== 'llm' || !process.env.OPENAI_API_KEY) return null;
+
+  if (!llmParser) {
+    const OpenAI = require('openai');
+    llmParser = createLlmQueryParser({
+      // Retrying would only eat into the timeout; the rule parser is the retry
+      client: new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 }),
+      model: config.ask.llmModel,
+      timeoutMs: config.ask.llmTimeoutMs
+    });
+  }
+  return llmParser;
+}
+
+/**
+ * Departments in the catalogue, so the LLM can only pick real ones
+ */
+async function getDepartments() {
+  const result = await db.query(
+    'SELECT DISTINCT department FROM courses WHERE department IS NOT NULL ORDER BY department'
+  );
+  return result.rows.map(row => row.department);
+}
+
 /**
  * POST /api/ask - Natural language course search
  * Parses user questions and converts them to database queries
+ * interpretation holds the filters, the phrase behind each one and the ignored words,
+ * plus how confident the rule parser was in each filter it read from synonyms and the
+ * question's language ("en", "hi" or "hinglish", see lib/askLanguages.js);
+ * sending those filters back (edited) as body.filters skips parsing
+ * With session_id from a previous answer the question is a follow-up to that
+ * conversation; reset=true (or starting with "start over") begins again
+ * meta.parser says which parser read the question ("llm", "rules", or "user" for
+ * edited filters) and meta.parser_fallback why the LLM one was skipped
+ * The search words (filters.q) also find courses close in meaning through vector
+ * search, ranked together with the text matches; meta.semantic_provider names the
+ * embedding provider, or is null when only full-text search was used
+ * Accepts page/per_page, or a cursor from meta.next_cursor, plus count=exact|estimate|none
  */
 router.post('/ask', async (req, res) => {
   try {
-    const { question, page = 1, per_page = 10 } = req.body;
+    const {
+      question,
+      session_id,
+      reset = false,
+      filters: editedFilters,
+      page = 1,
+      per_page = 10,
+      cursor,
+      count = 'exact'
+    } = req.body;
     if (!question) {
       return res.status(400).json({ error: 'Missing question' });
     }
 
+    if (!COUNT_MODES.includes(count)) {
+      return res.status(400).json({
+        error: 'Invalid count parameter',
+        message: `Count must be one of: ${COUNT_MODES.join(', ')}`
+      });
+    }
+
     // Validate pagination parameters
     const pageNum = Math.max(1, parseInt(page) || 1);
     const perPage = Math.min(100, Math.max(1, parseInt(per_page) || 10)); // Limit max per_page to 100
 
-    console.log('Processing question:', question);
-    console.log('Pagination - Page:', pageNum, 'Per page:', perPage);
+    debugLog('Processing question:', question);
+    debugLog('Pagination - Page:', pageNum, 'Per page:', perPage);
+
+    // Hindi and Hinglish questions are rewritten into English before anything reads them
+    const { language, question: normalisedQuestion } = normaliseQuestion(String(question));
+
+    // Continue the conversation unless it expired or the user asked to start over
+    const session = getSession(session_id);
+    const { reset: resetRequested, question: afterReset } = detectReset(normalisedQuestion);
+    const continuing = session !== null && !reset && !resetRequested;
+
+    // Follow-up phrases like "any level" or "cheaper" are handled here, not by the parser
+    const intents = continuing ? extractFollowUpIntents(afterReset) : null;
+    const turnQuestion = intents ? intents.question : afterReset;
 
     // Parse natural language query into structured filters
-    const filters = parseNaturalLanguageQuery(question);
-    console.log('Parsed filters:', filters);
+    // The LLM parser (when enabled) falls back to the rules on timeout or invalid output
+    // Filters the user edited on the page are validated and used as they are
+    let interpretation;
+    if (editedFilters !== undefined) {
+      let filters;
+      try {
+        filters = validateFilters(editedFilters, { departments: await getDepartments() });
+      } catch (validationError) {
+        return res.status(400).json({ error: 'Validation Error', message: validationError.message });
+      }
+      interpretation = { filters, matches: {}, parser: 'user', fallbackReason: null };
+    } else if (turnQuestion.trim() === '') {
+      // Nothing left to parse, e.g. "start over" or "any department"
+      interpretation = { filters: {}, matches: {}, parser: 'rules', fallbackReason: null };
+    } else {
+      const primary = getLlmParser();
+      interpretation = await parseWithFallback(turnQuestion, {
+        primary,
+        fallback: ruleParser,
+        context: {
+          synonyms: await getSynonymDictionary(),
+          ...(primary ? { departments: await getDepartments() } : {})
+        }
+      });
+    }
+    const { parser, fallbackReason } = interpretation;
+
+    // A follow-up adds to, overrides or removes the previous turn's filters
+    // Edited filters replace the conversation's filters; changes are reported against them
+    const { filters, matches, changes } = continuing && parser !== 'user'
+      ? applyFollowUp(session, interpretation, intents, session.reference)
+      : {
+        filters: interpretation.filters,
+        matches: interpretation.matches,
+        changes: diffFilters(session && parser === 'user' ? session.filters : {}, interpretation.filters)
+      };
+    const ignoredWords = parser === 'user' ? [] : findIgnoredWords(turnQuestion, { filters, matches });
+    debugLog(`Parsed filters (${parser}):`, filters);
+
+    // Courses close in meaning to the search words; text search alone if this fails
+    let semantic = null;
+    if (filters.q) {
+      try {
+        semantic = await findSimilarCourses(filters.q);
+      } catch (semanticError) {
+        console.warn('Semantic search unavailable, using full-text search only:', semanticError.message);
+      }
+    }
 
     // Execute filtered query with pagination
-    const result = await executeFilteredQuery(filters, pageNum, perPage);
+    const result = await executeFilteredQuery(filters, pageNum, perPage, {
+      cursor,
+      count,
+      semanticMatches: semantic && semantic.matches
+    });
+
+    // Remember this turn; edited filters only update a conversation that already exists
+    let savedSession = null;
+    if (parser !== 'user' || session) {
+      savedSession = saveSession(session ? session.id : null, {
+        filters,
+        matches,
+        question,
+        reference: referenceFromResults(result.data)
+      });
+    }
 
     res.json({
       data: result.data,
-      meta: result.meta
+      interpretation: {
+        filters,
+        matches,
+        ignored_words: ignoredWords,
+        changes,
+        confidence: interpretation.confidence || {},
+        language
+      },
+      session: savedSession && {
+        id: savedSession.id,
+        turn: savedSession.turns.length,
+        // True when session_id was sent but had expired, so earlier filters were not applied
+        expired: Boolean(session_id) && session === null
+      },
+      meta: {
+        ...result.meta,
+        parser,
+        parser_fallback: fallbackReason,
+        semantic_provider: semantic ? semantic.provider : null
+      }
     });
   } catch (err) {
     console.error('Error in /api/ask:', err);
+    if (err.message.startsWith('Invalid cursor')) {
+      return res.status(400).json({ error: 'Validation Error', message: err.message });
+    }
     res.status(500).json({ 
       error: 'Server error', 
       details: err.message,
@@ -42,282 +245,104 @@ router.post('/ask', async (req, res) => {
 });
 
 /**
- * Parse natural language query into structured filters
- * Implements rule-based parsing for various query types
+ * Execute database query using parsed filters
+ * Returns data in the specified format with proper pagination
+ * options.cursor switches to cursor pagination; options.count picks the count mode
+ * options.semanticMatches ([{ course_id, similarity }]) are courses that match the
+ * search words in meaning; they are found alongside the text matches and ranked by both
  */
-function parseNaturalLanguageQuery(question) {
-  const filters = {};
-
-  // Convert to lowercase for easier pattern matching
-  const lowerQuestion = question.toLowerCase().trim();
-  let remainingWords = lowerQuestion.split(/\s+/).filter(word => word.length > 0);
-
-  console.log('Original question:', question);
-  console.log('Lowercase question:', lowerQuestion);
-
-  // Step 1: Detect and extract delivery mode
-  const deliveryModePatterns = {
-    'online': ['online', 'remote', 'virtual', 'digital', 'web-based', 'internet', 'distance'],
-    'offline': ['offline', 'physical', 'in-person', 'campus', 'classroom', 'face-to-face', 'onsite', 'on-campus'],
-    'hybrid': ['hybrid', 'blended', 'mixed', 'combined', 'flexible']
-  };
-
-  for (const [mode, patterns] of Object.entries(deliveryModePatterns)) {
-    if (patterns.some(pattern => lowerQuestion.includes(pattern))) {
-      filters.delivery_mode = mode;
-      console.log('Found delivery mode:', mode);
-      break;
-    }
-  }
+async function executeFilteredQuery(filters, page = 1, perPage = 10, options = {}) {
+  const { cursor = null, count = 'exact', semanticMatches = null } = options;
+  debugLog('Executing query with filters:', filters);
+  
+  const conditions = [];
+  const queryParams = [];
+  let paramCounter = 1;
 
-  // Step 2: Detect and extract level (UG/PG) - Fixed mapping
-  const levelPatterns = {
-    'UG': [
-      'undergraduate', 'ug', 'bachelor', 'bachelors', "bachelor's", 
-      'btech', 'bsc', 'ba', 'bcom', 'undergrad', 'under-graduate'
-    ],
-    'PG': [
-      'postgraduate', 'pg', 'graduate', 'master', 'masters', "master's", 
-      'mtech', 'msc', 'ma', 'mcom', 'mba', 'post-graduate', 'postgrad'
-    ]
-  };
-
-  for (const [level, patterns] of Object.entries(levelPatterns)) {
-    if (patterns.some(pattern => lowerQuestion.includes(pattern))) {
-      filters.level = level; // This will be 'UG' or 'PG' to match DB schema
-      console.log('Found level:', level);
-      break;
-    }
-  }
+  // Search query (q) - full-text search over name, department and description
+  // Leftover question words are OR-ed so one unknown word doesn't empty the results
+  // Courses found by vector search match too, even without any of the words
+  const textQuery = toPrefixTsQuery(filters.q, '|');
+  let textQueryParam = null;
+  let semanticParam = null;
+  if (textQuery) {
+    textQueryParam = `$${paramCounter}`;
+    queryParams.push(textQuery);
+    paramCounter++;
 
-  // Step 3: Detect and extract fee constraints
-  const feeRegexes = [
-    // Under/below patterns
-    {
-      regex: /(?:under|below|less than|cheaper than|maximum|max|up to)\s*(?:rs\.?|inr|₹)?\s*(\d+(?:,\d+)*)/i,
-      handler: (match) => ({ max_fee: parseInt(match[1].replace(/,/g, '')) })
-    },
-    // Above/over patterns
-    {
-      regex: /(?:above|over|more than|greater than|minimum|min|at least)\s*(?:rs\.?|inr|₹)?\s*(\d+(?:,\d+)*)/i,
-      handler: (match) => ({ min_fee: parseInt(match[1].replace(/,/g, '')) })
-    },
-    // Between patterns
-    {
-      regex: /(?:between|from)\s*(?:rs\.?|inr|₹)?\s*(\d+(?:,\d+)*)\s*(?:and|to|-)\s*(?:rs\.?|inr|₹)?\s*(\d+(?:,\d+)*)/i,
-      handler: (match) => {
-        const fee1 = parseInt(match[1].replace(/,/g, ''));
-        const fee2 = parseInt(match[2].replace(/,/g, ''));
-        return {
-          min_fee: Math.min(fee1, fee2),
-          max_fee: Math.max(fee1, fee2)
-        };
-      }
-    },
-    // Exact fee patterns
-    {
-      regex: /(?:exactly|costs?|fees?|priced? at)\s*(?:rs\.?|inr|₹)?\s*(\d+(?:,\d+)*)/i,
-      handler: (match) => {
-        const fee = parseInt(match[1].replace(/,/g, ''));
-        return { min_fee: fee, max_fee: fee };
-      }
-    }
-  ];
-
-  for (const { regex, handler } of feeRegexes) {
-    const match = lowerQuestion.match(regex);
-    if (match) {
-      Object.assign(filters, handler(match));
-      console.log('Found fee constraint:', handler(match));
-      break;
+    let textCondition = textSearchCondition(textQuery).sql(textQueryParam);
+    if (semanticMatches && semanticMatches.length > 0) {
+      semanticParam = `$${paramCounter}`;
+      queryParams.push(JSON.stringify(Object.fromEntries(
+        semanticMatches.map(match => [match.course_id, match.similarity])
+      )));
+      paramCounter++;
+      textCondition = `(${textCondition} OR ${semanticMatchCondition(semanticParam)})`;
     }
+    conditions.push(textCondition);
   }
 
-  // Step 4: Detect and extract rating constraints
-  const ratingRegexes = [
-    {
-      regex: /(?:rating|rated|stars?)\s*(?:above|over|more than|greater than|at least)\s*(\d+(?:\.\d+)?)/i,
-      handler: (match) => ({ min_rating: parseFloat(match[1]) })
-    },
-    {
-      regex: /(?:rating|rated|stars?)\s*(?:below|under|less than|maximum|max)\s*(\d+(?:\.\d+)?)/i,
-      handler: (match) => ({ max_rating: parseFloat(match[1]) })
-    },
-    {
-      regex: /(?:rating|rated|stars?)\s*(?:between|from)\s*(\d+(?:\.\d+)?)\s*(?:and|to|-)\s*(\d+(?:\.\d+)?)/i,
-      handler: (match) => {
-        const rating1 = parseFloat(match[1]);
-        const rating2 = parseFloat(match[2]);
-        return {
-          min_rating: Math.min(rating1, rating2),
-          max_rating: Math.max(rating1, rating2)
-        };
-      }
-    },
-    {
-      regex: /(\d+(?:\.\d+)?)\s*(?:star|stars?|rating|rated)/i,
-      handler: (match) => ({ min_rating: parseFloat(match[1]) })
-    }
-  ];
-
-  for (const { regex, handler } of ratingRegexes) {
-    const match = lowerQuestion.match(regex);
-    if (match) {
-      Object.assign(filters, handler(match));
-      console.log('Found rating constraint:', handler(match));
-      break;
-    }
+  // Department filter; a list matches any of them
+  const departments = [].concat(filters.department || []);
+  if (departments.length > 0) {
+    conditions.push(`(${departments.map((department, index) => `department ILIKE $${paramCounter + index}`).join(' OR ')})`);
+    queryParams.push(...departments.map(department => `%${department}%`));
+    paramCounter += departments.length;
   }
 
-  // Step 5: Detect and extract credits constraints
-  const creditRegexes = [
-    {
-      regex: /(\d+)\s*credits?/i,
-      handler: (match) => {
-        const credits = parseInt(match[1]);
-        return { min_credits: credits, max_credits: credits };
-      }
-    },
-    {
-      regex: /(?:between|from)\s*(\d+)\s*(?:and|to|-)\s*(\d+)\s*credits?/i,
-      handler: (match) => {
-        const credits1 = parseInt(match[1]);
-        const credits2 = parseInt(match[2]);
-        return {
-          min_credits: Math.min(credits1, credits2),
-          max_credits: Math.max(credits1, credits2)
-        };
-      }
-    },
-    {
-      regex: /(?:at least|minimum|min)\s*(\d+)\s*credits?/i,
-      handler: (match) => ({ min_credits: parseInt(match[1]) })
-    },
-    {
-      regex: /(?:at most|maximum|max|up to)\s*(\d+)\s*credits?/i,
-      handler: (match) => ({ max_credits: parseInt(match[1]) })
-    }
-  ];
-
-  for (const { regex, handler } of creditRegexes) {
-    const match = lowerQuestion.match(regex);
-    if (match) {
-      Object.assign(filters, handler(match));
-      console.log('Found credits constraint:', handler(match));
-      break;
-    }
+  // Excluded departments
+  const excludedDepartments = [].concat(filters.exclude_department || []);
+  if (excludedDepartments.length > 0) {
+    conditions.push(`NOT (${excludedDepartments.map((department, index) => `department ILIKE $${paramCounter + index}`).join(' OR ')})`);
+    queryParams.push(...excludedDepartments.map(department => `%${department}%`));
+    paramCounter += excludedDepartments.length;
   }
 
-  // Step 6: Detect department keywords - improved matching
-  const departmentKeywords = {
-    'Computer Science': ['computer', 'programming', 'software', 'coding', 'algorithm', 'data', 'ai', 'ml', 'tech', 'cs', 'it'],
-    'Management': ['management', 'business', 'mba', 'leadership', 'strategy', 'operations', 'mgt'],
-    'Electrical Engineering': ['electrical', 'electronics', 'circuit', 'power', 'signal', 'ee', 'eee'],
-    'Arts': ['arts', 'literature', 'philosophy', 'history', 'creative', 'humanities'],
-    'Design': ['design', 'graphic', 'ui', 'ux', 'visual', 'creative', 'art'],
-    'Law': ['law', 'legal', 'constitutional', 'criminal', 'commercial', 'judiciary'],
-    'Medicine': ['medicine', 'medical', 'health', 'anatomy', 'clinical', 'doctor', 'healthcare'],
-    'Commerce': ['commerce', 'finance', 'accounting', 'economics', 'trade', 'business']
-  };
-
-  for (const [dept, keywords] of Object.entries(departmentKeywords)) {
-    if (keywords.some(keyword => lowerQuestion.includes(keyword))) {
-      filters.department = dept;
-      console.log('Found department:', dept);
-      break;
+  // Level (UG/PG) and delivery mode filters, each one value or a list, and their exclusions
+  [['level', 'level'], ['delivery_mode', 'delivery_mode']].forEach(([field, column]) => {
+    const wanted = [].concat(filters[field] || []);
+    if (wanted.length > 0) {
+      conditions.push(`${column} IN (${wanted.map((value, index) => `$${paramCounter + index}`).join(', ')})`);
+      queryParams.push(...wanted);
+      paramCounter += wanted.length;
     }
-  }
-
-  // Step 7: Extract year if mentioned
-  const yearMatch = lowerQuestion.match(/(?:year|in)\s*(20\d{2})/);
-  if (yearMatch) {
-    filters.year_offered = parseInt(yearMatch[1]);
-    console.log('Found year:', yearMatch[1]);
-  }
 
-  // Step 8: Extract search terms - improved logic
-  // Remove stop words and extract meaningful terms
-  const stopWords = new Set([
-    'i', 'want', 'to', 'find', 'search', 'for', 'show', 'me', 'get', 'list', 'of', 
-    'courses', 'course', 'in', 'with', 'that', 'are', 'is', 'and', 'or', 'the', 
-    'a', 'an', 'some', 'all', 'any', 'can', 'you', 'please', 'help'
-  ]);
-
-  // Remove already matched terms (delivery mode, level, department keywords, etc.)
-  let searchTerms = lowerQuestion.split(/\s+/).filter(word => {
-    // Skip if it's a stop word
-    if (stopWords.has(word)) return false;
-    
-    // Skip if it's a number (likely year, fee, rating, etc.)
-    if (/^\d+$/.test(word)) return false;
-    
-    // Skip if it's too short
-    if (word.length <= 2) return false;
-    
-    // Skip if it matches any of our pattern keywords
-    const allPatternWords = [
-      ...Object.values(deliveryModePatterns).flat(),
-      ...Object.values(levelPatterns).flat(),
-      ...Object.values(departmentKeywords).flat(),
-      'rating', 'rated', 'star', 'stars', 'credit', 'credits',
-      'fee', 'fees', 'cost', 'costs', 'price', 'year'
-    ];
-    
-    return !allPatternWords.includes(word);
+    const excluded = [].concat(filters[`exclude_${field}`] || []);
+    if (excluded.length > 0) {
+      conditions.push(`(${column} IS NULL OR ${column} NOT IN (${excluded.map((value, index) => `$${paramCounter + index}`).join(', ')}))`);
+      queryParams.push(...excluded);
+      paramCounter += excluded.length;
+    }
   });
 
-  if (searchTerms.length > 0) {
-    filters.q = searchTerms.join(' ');
-    console.log('Search terms:', filters.q);
-  }
-
-  console.log('Final parsed filters:', filters);
-  return filters;
-}
-
-/**
- * Execute database query using parsed filters
- * Returns data in the specified format with proper pagination
- */
-async function executeFilteredQuery(filters, page = 1, perPage = 10) {
-  console.log('Executing query with filters:', filters);
-  
-  const conditions = [];
-  const queryParams = [];
-  let paramCounter = 1;
-
-  // Search query (q) - search in course name and department
-  if (filters.q) {
-    conditions.push(`(course_name ILIKE $${paramCounter} OR department ILIKE $${paramCounter})`);
-    queryParams.push(`%${filters.q}%`);
+  // Year offered filter
+  if (filters.year_offered) {
+    conditions.push(`year_offered = $${paramCounter}`);
+    queryParams.push(filters.year_offered);
     paramCounter++;
   }
 
-  // Department filter
-  if (filters.department) {
-    conditions.push(`department ILIKE $${paramCounter}`);
-    queryParams.push(`%${filters.department}%`);
+  // Year range filters
+  if (filters.min_year !== undefined) {
+    conditions.push(`year_offered >= $${paramCounter}`);
+    queryParams.push(filters.min_year);
     paramCounter++;
   }
-
-  // Level filter (UG/PG)
-  if (filters.level) {
-    conditions.push(`level = $${paramCounter}`);
-    queryParams.push(filters.level);
+  if (filters.max_year !== undefined) {
+    conditions.push(`year_offered <= $${paramCounter}`);
+    queryParams.push(filters.max_year);
     paramCounter++;
   }
 
-  // Delivery mode filter
-  if (filters.delivery_mode) {
-    conditions.push(`delivery_mode = $${paramCounter}`);
-    queryParams.push(filters.delivery_mode);
+  // Duration range filters (weeks)
+  if (filters.min_duration_weeks !== undefined) {
+    conditions.push(`duration_weeks >= $${paramCounter}`);
+    queryParams.push(filters.min_duration_weeks);
     paramCounter++;
   }
-
-  // Year offered filter
-  if (filters.year_offered) {
-    conditions.push(`year_offered = $${paramCounter}`);
-    queryParams.push(filters.year_offered);
+  if (filters.max_duration_weeks !== undefined) {
+    conditions.push(`duration_weeks <= $${paramCounter}`);
+    queryParams.push(filters.max_duration_weeks);
     paramCounter++;
   }
 
@@ -357,42 +382,134 @@ async function executeFilteredQuery(filters, page = 1, perPage = 10) {
     paramCounter++;
   }
 
+  // Fee per credit; courses without credits have no such fee and are left out
+  if (filters.max_fee_per_credit !== undefined) {
+    conditions.push(`(credits > 0 AND tuition_fee_inr <= $${paramCounter} * credits)`);
+    queryParams.push(filters.max_fee_per_credit);
+    paramCounter++;
+  }
+
   // Build WHERE clause
   const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
-  console.log('WHERE clause:', whereClause);
-  console.log('Query params:', queryParams);
+  debugLog('WHERE clause:', whereClause);
+  debugLog('Query params:', queryParams);
+
+  // Results are ordered by rank when there are search terms, otherwise by
+  // rating. Rank isn't a stored column, so text searches page by offset
+  // A sort the question asked for ("cheapest", "sort by fee") replaces both
+  const requestedSort = filters.sort
+    ? parseSortParam(filters.sort).filter(key => SORT_COLUMNS.includes(key.column))
+    : [];
+  const sortKeys = withTiebreaker(requestedSort.length > 0 ? requestedSort : [
+    { column: 'rating', direction: 'desc' },
+    { column: 'course_name', direction: 'asc' }
+  ]);
+  const rankByRelevance = textQueryParam && requestedSort.length === 0;
+
+  // fee_per_credit is worked out in the query rather than stored
+  const usesFeePerCredit = requestedSort.some(key => key.column === 'fee_per_credit') ||
+    filters.max_fee_per_credit !== undefined;
+
+  // "Top 5" caps the whole result set, so those pages are counted by offset,
+  // as are orders on a worked-out column, which a keyset can't compare against
+  const limit = filters.limit || null;
+  const useOffset = rankByRelevance || limit !== null || requestedSort.some(key => key.column === 'fee_per_credit');
+  const offsetSignature = rankByRelevance ? 'relevance' : `offset:${sortSignature(sortKeys)}`;
+
+  let offset = cursor ? 0 : (page - 1) * perPage;
+  const pageConditions = [...conditions];
+  const pageParams = [...queryParams];
+
+  if (cursor) {
+    const payload = decodeCursor(cursor);
+    if (useOffset) {
+      if (payload.k !== offsetSignature || !Number.isInteger(payload.o) || payload.o < 0) {
+        throw new Error('Invalid cursor: it was created for a different sort order');
+      }
+      offset = payload.o;
+    } else {
+      const afterCursor = keysetCondition(sortKeys, payload);
+      const placeholders = afterCursor.values.map((value, index) => `$${paramCounter + index}`);
+      pageConditions.push(afterCursor.sql(...placeholders));
+      pageParams.push(...afterCursor.values);
+      paramCounter += afterCursor.values.length;
+    }
+  }
+
+  // Rows still allowed on this page under the limit
+  const pageSize = limit === null ? perPage : Math.max(0, Math.min(perPage, limit - offset));
 
-  try {
-    // Count query for pagination info
-    const countQuery = `SELECT COUNT(*) FROM courses ${whereClause}`;
-    console.log('Count query:', countQuery);
-    
-    const countResult = await db.query(countQuery, queryParams);
-    const totalCount = parseInt(countResult.rows[0].count);
+  const pageWhereClause = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
 
-    // Calculate pagination
-    const totalPages = Math.ceil(totalCount / perPage);
-    const offset = (page - 1) * perPage;
+  try {
+    // Count for pagination info (skipped or estimated when asked to), never more than the limit
+    const matchingCount = await countRows(count, whereClause, queryParams);
+    const totalCount = matchingCount !== null && limit !== null ? Math.min(matchingCount, limit) : matchingCount;
 
     // Main query with pagination
+    // Best text matches first when there are search terms, then highest rated
+    // With vector matches, relevance blends text rank and similarity
+    let searchColumns = '';
+    if (semanticParam) {
+      searchColumns = `, ${hybridRankExpression(textQueryParam, semanticParam, config.ask.semanticWeight)} AS relevance` +
+        `, ${semanticSimilarityExpression(semanticParam)} AS similarity` +
+        `, ${headlineExpression('description', textQueryParam)} AS snippet`;
+    } else if (textQueryParam) {
+      searchColumns = `, ${rankExpression(textQueryParam)} AS relevance, ${headlineExpression('description', textQueryParam)} AS snippet`;
+    }
+    const feePerCreditColumn = usesFeePerCredit
+      ? ', ROUND(tuition_fee_inr::numeric / NULLIF(credits, 0)) AS fee_per_credit'
+      : '';
+    const orderClause = rankByRelevance
+      ? 'ORDER BY relevance DESC, rating DESC, course_name ASC, course_id ASC'
+      : orderByClause(sortKeys);
+
+    // One extra row tells us whether there is a next page
     const mainQuery = `
       SELECT course_id, course_name, department, level, delivery_mode,
-             credits, duration_weeks, rating, tuition_fee_inr, year_offered
+             credits, duration_weeks, rating, tuition_fee_inr, year_offered${searchColumns}${feePerCreditColumn}
       FROM courses
-      ${whereClause}
-      ORDER BY rating DESC, course_name ASC
+      ${pageWhereClause}
+      ${orderClause}
       LIMIT $${paramCounter} OFFSET $${paramCounter + 1}
     `;
     
-    console.log('Main query:', mainQuery);
-    const result = await db.query(mainQuery, [...queryParams, perPage, offset]);
+    debugLog('Main query:', mainQuery);
+    const result = await db.query(mainQuery, [...pageParams, pageSize + 1, offset]);
+
+    const rows = result.rows.slice(0, pageSize);
+    const hasMore = result.rows.length > pageSize && (limit === null || offset + pageSize < limit);
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = useOffset
+        ? offsetCursor(offsetSignature, offset + pageSize)
+        : cursorFromRow(rows[rows.length - 1], sortKeys);
+    }
 
-    console.log(`Found ${totalCount} total courses, returning ${result.rows.length}`);
+    debugLog(`Found ${totalCount === null ? 'uncounted' : totalCount} total courses, returning ${rows.length}`);
+
+    const totalPages = totalCount === null ? null : Math.ceil(totalCount / perPage);
+    const meta = cursor
+      ? {
+        pagination: 'cursor',
+        total_count: totalCount,
+        per_page: perPage,
+        has_next_page: hasMore
+      }
+      : {
+        pagination: 'page',
+        total_count: totalCount,
+        page: page,
+        per_page: perPage,
+        total_pages: totalPages,
+        has_next_page: hasMore,
+        has_prev_page: page > 1
+      };
 
     // Format the response to match the expected structure
     return {
-      data: result.rows.map(row => ({
+      data: rows.map(row => ({
         course_id: row.course_id,
         course_name: row.course_name,
         department: row.department,
@@ -402,15 +519,15 @@ async function executeFilteredQuery(filters, page = 1, perPage = 10) {
         duration_weeks: parseInt(row.duration_weeks),
         rating: row.rating.toString(), // Ensure rating is returned as string
         tuition_fee_inr: parseInt(row.tuition_fee_inr),
-        year_offered: parseInt(row.year_offered)
+        year_offered: parseInt(row.year_offered),
+        ...(textQueryParam && { relevance: row.relevance, snippet: row.snippet }),
+        ...(semanticParam && { similarity: Math.round(Number(row.similarity) * 1000) / 1000 }),
+        ...(usesFeePerCredit && { fee_per_credit: row.fee_per_credit === null ? null : parseInt(row.fee_per_credit) })
       })),
       meta: {
-        total_count: totalCount,
-        page: page,
-        per_page: perPage,
-        total_pages: totalPages,
-        has_next_page: page < totalPages,
-        has_prev_page: page > 1
+        ...meta,
+        count_type: count,
+        next_cursor: nextCursor
       }
     };
   } catch (error) {
@@ -1,121 +1,201 @@
 const express = require('express');
 const db = require('../db');
+const config = require('../lib/config');
+const { parseWeights, scoreComparison } = require('../lib/comparisonScoring');
+const { writeComparisonPdf } = require('../lib/exporters');
 const router = express.Router();
 
+/**
+ * Validate the ids/weights query and load everything a comparison shows
+ * Shared by GET /compare (JSON) and GET /compare/export (PDF)
+ * Returns { validationError } or { response }
+ */
+async function buildComparison(requestQuery) {
+  // Step 1: Extract and validate IDs parameter
+  const { ids, weights: weightsParam } = requestQuery;
+
+  if (!ids) {
+    return { validationError: {
+      error: 'Missing required parameter',
+      message: 'Please provide course IDs using the "ids" parameter (e.g., ?ids=1,2,3)'
+    } };
+  }
+
+  // Step 2: Parse and validate course IDs
+  let courseIds;
+  try {
+    // Split by comma and trim whitespace
+    courseIds = ids.split(',').map(id => id.trim()).filter(id => id !== '');
+    
+    if (courseIds.length === 0) {
+      throw new Error('No valid IDs provided');
+    }
+
+    const maxCourses = config.compare.maxCourses;
+    if (new Set(courseIds).size > maxCourses) {
+      return { validationError: {
+        error: 'Too many course IDs',
+        message: `Maximum ${maxCourses} courses can be compared at once`,
+        max_courses: maxCourses,
+        requested_count: new Set(courseIds).size
+      } };
+    }
+
+    // Validate each ID (should be non-empty strings)
+    const invalidIds = courseIds.filter(id => !id || typeof id !== 'string');
+    if (invalidIds.length > 0) {
+      throw new Error('Invalid course IDs format');
+    }
+
+  } catch (parseError) {
+    return { validationError: {
+      error: 'Invalid IDs format',
+      message: 'Course IDs should be comma-separated (e.g., "CS101,MGT201,EE301")'
+    } };
+  }
+
+  // Step 3: Parse scoring weights (defaults when not given)
+  let weights;
+  try {
+    weights = parseWeights(weightsParam);
+  } catch (weightsError) {
+    return { validationError: {
+      error: 'Invalid weights parameter',
+      message: weightsError.message
+    } };
+  }
+
+  // Remove duplicates while preserving order
+  const uniqueIds = [...new Set(courseIds)];
+
+  // Step 4: Build parameterized query to prevent SQL injection
+  const placeholders = uniqueIds.map((_, index) => `$${index + 1}`).join(',');
+  
+  const query = `
+    SELECT 
+      course_id,
+      course_name,
+      department,
+      level,
+      delivery_mode,
+      credits,
+      duration_weeks,
+      rating,
+      tuition_fee_inr,
+      year_offered
+    FROM courses 
+    WHERE course_id IN (${placeholders})
+    ORDER BY 
+      CASE course_id 
+        ${uniqueIds.map((id, index) => `WHEN $${index + 1} THEN ${index + 1}`).join(' ')}
+        ELSE ${uniqueIds.length + 1}
+      END
+  `;
+
+  // Step 5: Execute query
+  const result = await db.query(query, uniqueIds);
+  const foundCourses = result.rows;
+
+  // Step 6: Identify found and missing course IDs
+  const foundIds = foundCourses.map(course => course.course_id);
+  const missingIds = uniqueIds.filter(id => !foundIds.includes(id));
+
+  // Step 7: Add comparison metadata for better user experience
+  const comparisonMeta = {
+    requested_count: uniqueIds.length,
+    found_count: foundCourses.length,
+    missing_count: missingIds.length,
+    comparison_date: new Date().toISOString()
+  };
+
+  // Step 8: Add comparison insights and weighted scores if multiple courses found
+  let insights = null;
+  let scoring = null;
+  if (foundCourses.length > 1) {
+    insights = generateComparisonInsights(foundCourses);
+    scoring = scoreComparison(foundCourses, weights);
+  }
+
+  // Step 9: Assemble the structured response
+  const response = {
+    courses: foundCourses,
+    missing_ids: missingIds,
+    meta: comparisonMeta
+  };
+
+  // Include insights and scoring if generated
+  if (insights) {
+    response.insights = insights;
+  }
+
+  if (scoring) {
+    response.scoring = scoring;
+  }
+
+  return { response };
+}
+
 /**
  * GET /api/compare?ids=1,2,3 - Compare multiple courses by their IDs
- * Accepts up to 4 course IDs and returns detailed comparison data
+ * Accepts up to config.compare.maxCourses IDs and returns detailed comparison data
+ * weights=rating:50,tuition_fee_inr:30,duration_weeks:20 sets how the
+ * returned scores, ranking and recommended course are computed
  */
 router.get('/compare', async (req, res) => {
   try {
-    // Step 1: Extract and validate IDs parameter
-    const { ids } = req.query;
+    const result = await buildComparison(req.query);
 
-    if (!ids) {
-      return res.status(400).json({
-        error: 'Missing required parameter',
-        message: 'Please provide course IDs using the "ids" parameter (e.g., ?ids=1,2,3)'
-      });
+    if (result.validationError) {
+      return res.status(400).json(result.validationError);
     }
 
-    // Step 2: Parse and validate course IDs
-    let courseIds;
-    try {
-      // Split by comma and trim whitespace
-      courseIds = ids.split(',').map(id => id.trim()).filter(id => id !== '');
-      
-      if (courseIds.length === 0) {
-        throw new Error('No valid IDs provided');
-      }
-
-      if (courseIds.length > 4) {
-        return res.status(400).json({
-          error: 'Too many course IDs',
-          message: 'Maximum 4 courses can be compared at once'
-        });
-      }
-
-      // Validate each ID (should be non-empty strings)
-      const invalidIds = courseIds.filter(id => !id || typeof id !== 'string');
-      if (invalidIds.length > 0) {
-        throw new Error('Invalid course IDs format');
-      }
-
-    } catch (parseError) {
+    res.json(result.response);
+
+  } catch (error) {
+    console.error('Error in /api/compare:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to compare courses'
+    });
+  }
+});
+
+/**
+ * GET /api/compare/export?ids=1,2,3&format=pdf - Download a comparison as a PDF
+ * Takes the same ids and weights as GET /api/compare and includes its insights and scoring
+ */
+router.get('/compare/export', async (req, res) => {
+  try {
+    const { format = 'pdf' } = req.query;
+
+    if (format !== 'pdf') {
       return res.status(400).json({
-        error: 'Invalid IDs format',
-        message: 'Course IDs should be comma-separated (e.g., "CS101,MGT201,EE301")'
+        error: 'Invalid format parameter',
+        message: 'Comparisons can only be exported as pdf'
       });
     }
 
-    // Step 3: Remove duplicates while preserving order
-    const uniqueIds = [...new Set(courseIds)];
+    const result = await buildComparison(req.query);
 
-    // Step 4: Build parameterized query to prevent SQL injection
-    const placeholders = uniqueIds.map((_, index) => `$${index + 1}`).join(',');
-    
-    const query = `
-      SELECT 
-        course_id,
-        course_name,
-        department,
-        level,
-        delivery_mode,
-        credits,
-        duration_weeks,
-        rating,
-        tuition_fee_inr,
-        year_offered
-      FROM courses 
-      WHERE course_id IN (${placeholders})
-      ORDER BY 
-        CASE course_id 
-          ${uniqueIds.map((id, index) => `WHEN $${index + 1} THEN ${index + 1}`).join(' ')}
-          ELSE ${uniqueIds.length + 1}
-        END
-    `;
-
-    // Step 5: Execute query
-    const result = await db.query(query, uniqueIds);
-    const foundCourses = result.rows;
-
-    // Step 6: Identify found and missing course IDs
-    const foundIds = foundCourses.map(course => course.course_id);
-    const missingIds = uniqueIds.filter(id => !foundIds.includes(id));
-
-    // Step 7: Add comparison metadata for better user experience
-    const comparisonMeta = {
-      requested_count: uniqueIds.length,
-      found_count: foundCourses.length,
-      missing_count: missingIds.length,
-      comparison_date: new Date().toISOString()
-    };
-
-    // Step 8: Add comparison insights if multiple courses found
-    let insights = null;
-    if (foundCourses.length > 1) {
-      insights = generateComparisonInsights(foundCourses);
+    if (result.validationError) {
+      return res.status(400).json(result.validationError);
     }
 
-    // Step 9: Return structured response
-    const response = {
-      courses: foundCourses,
-      missing_ids: missingIds,
-      meta: comparisonMeta
-    };
-
-    // Include insights if generated
-    if (insights) {
-      response.insights = insights;
+    if (result.response.courses.length === 0) {
+      return res.status(404).json({
+        error: 'No courses found',
+        message: 'None of the requested course IDs exist',
+        missing_ids: result.response.missing_ids
+      });
     }
 
-    res.json(response);
+    writeComparisonPdf(res, result.response, 'course-comparison');
 
   } catch (error) {
-    console.error('Error in /api/compare:', error);
+    console.error('Error in /api/compare/export:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to compare courses'
+      message: 'Failed to export comparison'
     });
   }
 });
@@ -147,17 +227,15 @@ function generateComparisonInsights(courses) {
   };
 
   // Extract numeric values, filtering out null/undefined
-  const fees = courses
-    .map(c => c.tuition_fee_inr)
-    .filter(fee => fee !== null && fee !== undefined && !isNaN(fee));
-  
-  const ratings = courses
-    .map(c => c.rating)
-    .filter(rating => rating !== null && rating !== undefined && !isNaN(rating));
-  
-  const credits = courses
-    .map(c => c.credits)
-    .filter(credit => credit !== null && credit !== undefined && !isNaN(credit));
+  // pg returns NUMERIC columns such as rating as strings, so coerce before summing
+  const numericValues = (attribute) => courses
+    .map(c => c[attribute])
+    .filter(value => value !== null && value !== undefined && !isNaN(value))
+    .map(Number);
+
+  const fees = numericValues('tuition_fee_inr');
+  const ratings = numericValues('rating');
+  const credits = numericValues('credits');
 
   // Calculate fee statistics
   if (fees.length > 0) {
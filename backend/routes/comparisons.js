@@ -0,0 +1,133 @@
+const express = require('express');
+const crypto = require('crypto');
+const db = require('../db');
+const config = require('../lib/config');
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 120;
+
+// Short, URL-safe IDs like "k3Xq9aZp"
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const ID_LENGTH = 8;
+const ID_PATTERN = /^[A-Za-z0-9]{1,16}$/;
+
+function generateComparisonId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  return Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+}
+
+/**
+ * POST /api/comparisons - Save a named comparison set
+ * Body: { name?: string, course_ids: string[] }
+ * Returns the short ID used to share it as /compare/<id>
+ */
+router.post('/comparisons', async (req, res) => {
+  try {
+    // Step 1: Validate the course list
+    const { name, course_ids: courseIdsInput } = req.body || {};
+
+    if (!Array.isArray(courseIdsInput) || courseIdsInput.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'Please provide course_ids as a non-empty array of course IDs'
+      });
+    }
+
+    const courseIds = [...new Set(courseIdsInput.map(id => String(id).trim()).filter(Boolean))];
+
+    if (courseIds.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid course_ids',
+        message: 'Please provide course_ids as a non-empty array of course IDs'
+      });
+    }
+
+    // Same limit as GET /api/compare, so every saved set can be rendered
+    const maxCourses = config.compare.maxCourses;
+    if (courseIds.length > maxCourses) {
+      return res.status(400).json({
+        error: 'Too many course IDs',
+        message: `Maximum ${maxCourses} courses can be compared at once`,
+        max_courses: maxCourses,
+        requested_count: courseIds.length
+      });
+    }
+
+    // Step 2: Validate the optional name
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (trimmedName.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid name',
+        message: `Name must be at most ${MAX_NAME_LENGTH} characters`
+      });
+    }
+
+    // Step 3: Make sure every course exists, so the shared link renders them all
+    const placeholders = courseIds.map((_, index) => `$${index + 1}`).join(',');
+    const existing = await db.query(`SELECT course_id FROM courses WHERE course_id IN (${placeholders})`, courseIds);
+    const foundIds = existing.rows.map(row => row.course_id);
+    const missingIds = courseIds.filter(id => !foundIds.includes(id));
+
+    if (missingIds.length > 0) {
+      return res.status(400).json({
+        error: 'Unknown course IDs',
+        message: `These courses do not exist: ${missingIds.join(', ')}`,
+        missing_ids: missingIds
+      });
+    }
+
+    // Step 4: Store under a fresh short ID, retrying on the rare collision
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const result = await db.query(
+        `INSERT INTO comparisons (id, name, course_ids)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING id, name, course_ids, created_at`,
+        [generateComparisonId(), trimmedName || null, courseIds]
+      );
+
+      if (result.rows.length > 0) {
+        return res.status(201).json({ data: result.rows[0] });
+      }
+    }
+
+    throw new Error('Could not generate a unique comparison ID');
+  } catch (error) {
+    console.error('Error in POST /api/comparisons:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to save comparison'
+    });
+  }
+});
+
+/**
+ * GET /api/comparisons/:id - Fetch a saved comparison set
+ * The courses themselves come from GET /api/compare?ids=...
+ */
+router.get('/comparisons/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = ID_PATTERN.test(id)
+      ? await db.query('SELECT id, name, course_ids, created_at FROM comparisons WHERE id = $1', [id])
+      : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Comparison not found',
+        message: `No saved comparison with ID "${id}"`
+      });
+    }
+
+    res.json({ data: result.rows[0] });
+  } catch (error) {
+    console.error('Error in GET /api/comparisons/:id:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch comparison'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const config = require('../lib/config');
+const router = express.Router();
+
+/**
+ * GET /api/config - Public settings the frontend needs, e.g. the compare limit
+ */
+router.get('/config', (req, res) => {
+  res.json({
+    compare: {
+      max_courses: config.compare.maxCourses
+    }
+  });
+});
+
+module.exports = router;
@@ -1,214 +1,361 @@
 const express = require('express');
 const db = require('../db');
+const { buildWhereClause, parseListParam, anyOfCondition } = require('../lib/queryBuilder');
+const { getFacetCounts, getHistograms } = require('../lib/facets');
+const {
+  toPrefixTsQuery,
+  textSearchCondition,
+  rankExpression,
+  headlineExpression,
+  fuzzyRankExpression,
+  fuzzySearchCondition,
+  getSearchSuggestions
+} = require('../lib/search');
+const { getCourseSuggestions } = require('../lib/suggest');
+const { findSimilarCourses } = require('../lib/similarity');
+const { EXPORT_FORMATS, streamCourseExport } = require('../lib/exporters');
+const {
+  COUNT_MODES,
+  withTiebreaker,
+  orderByClause,
+  parseSortParam,
+  sortSignature,
+  decodeCursor,
+  cursorFromRow,
+  offsetCursor,
+  keysetCondition,
+  countRows
+} = require('../lib/pagination');
 const router = express.Router();
 
+// Rows fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
 /**
- * GET /api/courses - Search and filter courses with pagination
- * Supports comprehensive filtering and sorting options
+ * Validate the filter and sort query parameters shared by GET /courses and
+ * GET /courses/export
+ * Returns { validationError } for a bad enum or sort value, otherwise the
+ * filter conditions and requested sort keys; bad numbers throw "Invalid ..." errors
  */
-router.get('/courses', async (req, res) => {
-  try {
-    // Step 1: Extract and validate query parameters
-    const {
-      q,
-      department,
-      level,
-      delivery_mode,
-      min_fee,
-      max_fee,
-      min_rating,
-      max_rating,
-      min_credits,
-      max_credits,
-      min_duration_weeks,
-      max_duration_weeks,
-      year_offered,
-      page = 1,
-      per_page = 10,
-      sort_by = 'course_id',
-      sort_dir = 'asc'
-    } = req.query;
-
-    // Step 2: Validate numeric parameters
-    const validateNumber = (value, name, min = null, max = null) => {
-      if (value === undefined || value === null || value === '') return null;
-      const num = parseFloat(value);
-      if (isNaN(num)) {
-        throw new Error(`Invalid ${name}: must be a number`);
-      }
-      if (min !== null && num < min) {
-        throw new Error(`Invalid ${name}: must be >= ${min}`);
-      }
-      if (max !== null && num > max) {
-        throw new Error(`Invalid ${name}: must be <= ${max}`);
-      }
-      return num;
-    };
+function parseCourseQuery(query) {
+  // Extract and validate query parameters
+  const {
+    q,
+    department,
+    level,
+    delivery_mode,
+    min_fee,
+    max_fee,
+    min_rating,
+    max_rating,
+    min_credits,
+    max_credits,
+    min_duration_weeks,
+    max_duration_weeks,
+    year_offered,
+    min_year,
+    max_year,
+    page = 1,
+    per_page = 10,
+    sort_by = 'course_id',
+    sort_dir = 'asc',
+    sort
+  } = query;
+
+  // Validate numeric parameters
+  const validateNumber = (value, name, min = null, max = null) => {
+    if (value === undefined || value === null || value === '') return null;
+    const num = parseFloat(value);
+    if (isNaN(num)) {
+      throw new Error(`Invalid ${name}: must be a number`);
+    }
+    if (min !== null && num < min) {
+      throw new Error(`Invalid ${name}: must be >= ${min}`);
+    }
+    if (max !== null && num > max) {
+      throw new Error(`Invalid ${name}: must be <= ${max}`);
+    }
+    return num;
+  };
+
+  const validateInteger = (value, name, min = null, max = null) => {
+    if (value === undefined || value === null || value === '') return null;
+    const num = parseInt(value);
+    if (isNaN(num) || !Number.isInteger(parseFloat(value))) {
+      throw new Error(`Invalid ${name}: must be an integer`);
+    }
+    if (min !== null && num < min) {
+      throw new Error(`Invalid ${name}: must be >= ${min}`);
+    }
+    if (max !== null && num > max) {
+      throw new Error(`Invalid ${name}: must be <= ${max}`);
+    }
+    return num;
+  };
+
+  // Validate all numeric parameters
+  const validatedParams = {
+    min_fee: validateNumber(min_fee, 'min_fee', 0),
+    max_fee: validateNumber(max_fee, 'max_fee', 0),
+    min_rating: validateNumber(min_rating, 'min_rating', 0, 5),
+    max_rating: validateNumber(max_rating, 'max_rating', 0, 5),
+    min_credits: validateInteger(min_credits, 'min_credits', 1),
+    max_credits: validateInteger(max_credits, 'max_credits', 1),
+    min_duration_weeks: validateInteger(min_duration_weeks, 'min_duration_weeks', 1),
+    max_duration_weeks: validateInteger(max_duration_weeks, 'max_duration_weeks', 1),
+    min_year: validateInteger(min_year, 'min_year', 1900, 2100),
+    max_year: validateInteger(max_year, 'max_year', 1900, 2100),
+    page: validateInteger(page, 'page', 1),
+    per_page: validateInteger(per_page, 'per_page', 1, 100)
+  };
+
+  // Validate enum parameters
+  const validLevels = ['UG', 'PG'];
+  const validDeliveryModes = ['online', 'offline', 'hybrid'];
+  const validSortColumns = ['relevance', 'rating', 'tuition_fee_inr', 'credits', 'duration_weeks', 'course_id', 'course_name', 'year_offered'];
+  const validSortDirections = ['asc', 'desc'];
+
+  // department, level, delivery_mode and year_offered take several values,
+  // either repeated (?level=UG&level=PG) or comma-separated (?level=UG,PG)
+  const departments = parseListParam(department);
+  const levels = parseListParam(level).map(value => value.toUpperCase());
+  const deliveryModes = parseListParam(delivery_mode).map(value => value.toLowerCase());
+  const years = parseListParam(year_offered).map(value => validateInteger(value, 'year_offered', 1900, 2100));
+
+  const invalidLevel = levels.find(value => !validLevels.includes(value));
+  if (invalidLevel) {
+    return { validationError: {
+      error: 'Invalid level parameter',
+      message: `Level must be one of: ${validLevels.join(', ')}`
+    } };
+  }
 
-    const validateInteger = (value, name, min = null, max = null) => {
-      if (value === undefined || value === null || value === '') return null;
-      const num = parseInt(value);
-      if (isNaN(num) || !Number.isInteger(parseFloat(value))) {
-        throw new Error(`Invalid ${name}: must be an integer`);
-      }
-      if (min !== null && num < min) {
-        throw new Error(`Invalid ${name}: must be >= ${min}`);
-      }
-      if (max !== null && num > max) {
-        throw new Error(`Invalid ${name}: must be <= ${max}`);
-      }
-      return num;
-    };
+  const invalidDeliveryMode = deliveryModes.find(value => !validDeliveryModes.includes(value));
+  if (invalidDeliveryMode) {
+    return { validationError: {
+      error: 'Invalid delivery_mode parameter',
+      message: `Delivery mode must be one of: ${validDeliveryModes.join(', ')}`
+    } };
+  }
 
-    // Validate all numeric parameters
-    const validatedParams = {
-      min_fee: validateNumber(min_fee, 'min_fee', 0),
-      max_fee: validateNumber(max_fee, 'max_fee', 0),
-      min_rating: validateNumber(min_rating, 'min_rating', 0, 5),
-      max_rating: validateNumber(max_rating, 'max_rating', 0, 5),
-      min_credits: validateInteger(min_credits, 'min_credits', 1),
-      max_credits: validateInteger(max_credits, 'max_credits', 1),
-      min_duration_weeks: validateInteger(min_duration_weeks, 'min_duration_weeks', 1),
-      max_duration_weeks: validateInteger(max_duration_weeks, 'max_duration_weeks', 1),
-      year_offered: validateInteger(year_offered, 'year_offered', 1900, 2100),
-      page: validateInteger(page, 'page', 1),
-      per_page: validateInteger(per_page, 'per_page', 1, 100)
-    };
+  if (sort_by && !validSortColumns.includes(sort_by)) {
+    return { validationError: {
+      error: 'Invalid sort_by parameter',
+      message: `Sort by must be one of: ${validSortColumns.join(', ')}`
+    } };
+  }
 
-    // Step 3: Validate enum parameters
-    const validLevels = ['UG', 'PG'];
-    const validDeliveryModes = ['online', 'offline', 'hybrid'];
-    const validSortColumns = ['rating', 'tuition_fee_inr', 'credits', 'duration_weeks', 'course_id', 'course_name', 'year_offered'];
-    const validSortDirections = ['asc', 'desc'];
+  if (sort_dir && !validSortDirections.includes(sort_dir.toLowerCase())) {
+    return { validationError: {
+      error: 'Invalid sort_dir parameter',
+      message: `Sort direction must be one of: ${validSortDirections.join(', ')}`
+    } };
+  }
 
-    if (level && !validLevels.includes(level.toUpperCase())) {
-      return res.status(400).json({
-        error: 'Invalid level parameter',
-        message: `Level must be one of: ${validLevels.join(', ')}`
-      });
+  // sort takes precedence over the single sort_by/sort_dir pair
+  // Relevance defaults to best match first whichever form is used
+  const defaultDirection = (column) => (column === 'relevance' ? 'desc' : 'asc');
+  const requestedSortKeys = sort
+    ? parseSortParam(sort, defaultDirection)
+    : [{ column: sort_by, direction: sort_by === 'relevance' ? 'desc' : sort_dir.toLowerCase() }];
+
+  if (sort) {
+    if (requestedSortKeys.length === 0) {
+      return { validationError: {
+        error: 'Invalid sort parameter',
+        message: 'Sort must list at least one column, e.g. sort=rating:desc,tuition_fee_inr:asc'
+      } };
     }
 
-    if (delivery_mode && !validDeliveryModes.includes(delivery_mode.toLowerCase())) {
-      return res.status(400).json({
-        error: 'Invalid delivery_mode parameter',
-        message: `Delivery mode must be one of: ${validDeliveryModes.join(', ')}`
-      });
+    const invalidColumn = requestedSortKeys.find(key => !validSortColumns.includes(key.column));
+    if (invalidColumn) {
+      return { validationError: {
+        error: 'Invalid sort parameter',
+        message: `Sort column "${invalidColumn.column}" must be one of: ${validSortColumns.join(', ')}`
+      } };
     }
 
-    if (sort_by && !validSortColumns.includes(sort_by)) {
-      return res.status(400).json({
-        error: 'Invalid sort_by parameter',
-        message: `Sort by must be one of: ${validSortColumns.join(', ')}`
-      });
+    const invalidDirection = requestedSortKeys.find(key => !validSortDirections.includes(key.direction));
+    if (invalidDirection) {
+      return { validationError: {
+        error: 'Invalid sort parameter',
+        message: `Sort direction for "${invalidDirection.column}" must be one of: ${validSortDirections.join(', ')}`
+      } };
     }
 
-    if (sort_dir && !validSortDirections.includes(sort_dir.toLowerCase())) {
-      return res.status(400).json({
-        error: 'Invalid sort_dir parameter',
-        message: `Sort direction must be one of: ${validSortDirections.join(', ')}`
-      });
+    const sortColumns = requestedSortKeys.map(key => key.column);
+    if (new Set(sortColumns).size !== sortColumns.length) {
+      return { validationError: {
+        error: 'Invalid sort parameter',
+        message: 'Each sort column may only appear once'
+      } };
     }
+  }
 
-    // Step 4: Build WHERE clause dynamically
-    const conditions = [];
-    const queryParams = [];
-    let paramCounter = 1;
+  // Collect filter conditions
+  // Each condition names the field it filters on so facet counts can leave it out
+  const conditions = [];
 
-    // Text search in course_name and department
-    if (q && q.trim()) {
-      conditions.push(`(course_name ILIKE $${paramCounter} OR department ILIKE $${paramCounter})`);
-      queryParams.push(`%${q.trim()}%`);
-      paramCounter++;
-    }
+  // Full-text search over course name, department and description
+  const textQuery = toPrefixTsQuery(q);
+  if (textQuery) {
+    conditions.push(textSearchCondition(textQuery));
+  }
 
-    // Exact match filters
-    if (department && department.trim()) {
-      conditions.push(`department ILIKE $${paramCounter}`);
-      queryParams.push(department.trim());
-      paramCounter++;
-    }
+  // Exact match filters; several values for one filter match any of them
+  if (departments.length > 0) {
+    conditions.push(anyOfCondition('department', departments.map(value => value.toLowerCase()), 'lower(department)'));
+  }
 
-    if (level) {
-      conditions.push(`level = $${paramCounter}`);
-      queryParams.push(level.toUpperCase());
-      paramCounter++;
-    }
+  if (levels.length > 0) {
+    conditions.push(anyOfCondition('level', levels));
+  }
 
-    if (delivery_mode) {
-      conditions.push(`delivery_mode = $${paramCounter}`);
-      queryParams.push(delivery_mode.toLowerCase());
-      paramCounter++;
-    }
+  if (deliveryModes.length > 0) {
+    conditions.push(anyOfCondition('delivery_mode', deliveryModes));
+  }
 
-    if (year_offered) {
-      conditions.push(`year_offered = $${paramCounter}`);
-      queryParams.push(validatedParams.year_offered);
-      paramCounter++;
-    }
+  if (years.length > 0) {
+    conditions.push(anyOfCondition('year_offered', years));
+  }
 
-    // Range filters
-    if (validatedParams.min_fee !== null) {
-      conditions.push(`tuition_fee_inr >= $${paramCounter}`);
-      queryParams.push(validatedParams.min_fee);
-      paramCounter++;
+  // Range filters
+  const rangeFilters = [
+    ['min_fee', 'tuition_fee_inr', '>='],
+    ['max_fee', 'tuition_fee_inr', '<='],
+    ['min_rating', 'rating', '>='],
+    ['max_rating', 'rating', '<='],
+    ['min_credits', 'credits', '>='],
+    ['max_credits', 'credits', '<='],
+    ['min_duration_weeks', 'duration_weeks', '>='],
+    ['max_duration_weeks', 'duration_weeks', '<='],
+    ['min_year', 'year_offered', '>='],
+    ['max_year', 'year_offered', '<=']
+  ];
+
+  rangeFilters.forEach(([param, column, operator]) => {
+    if (validatedParams[param] !== null) {
+      conditions.push({ field: column, values: [validatedParams[param]], sql: (p) => `${column} ${operator} ${p}` });
     }
+  });
 
-    if (validatedParams.max_fee !== null) {
-      conditions.push(`tuition_fee_inr <= $${paramCounter}`);
-      queryParams.push(validatedParams.max_fee);
-      paramCounter++;
-    }
+  const searchText = q ? q.trim() : '';
 
-    if (validatedParams.min_rating !== null) {
-      conditions.push(`rating >= $${paramCounter}`);
-      queryParams.push(validatedParams.min_rating);
-      paramCounter++;
-    }
+  return { conditions, requestedSortKeys, textQuery, searchText, validatedParams };
+}
 
-    if (validatedParams.max_rating !== null) {
-      conditions.push(`rating <= $${paramCounter}`);
-      queryParams.push(validatedParams.max_rating);
-      paramCounter++;
-    }
+/**
+ * GET /api/courses - Search and filter courses with pagination
+ * Supports comprehensive filtering and sorting options
+ * department, level, delivery_mode and year_offered accept several values
+ * (repeated or comma-separated); min_year/max_year filter a year range
+ * Pass facets=true to also get per-value counts and fee/rating histograms
+ * q is a ranked full-text search; sort_by=relevance orders by ts_rank
+ * sort=rating:desc,tuition_fee_inr:asc sorts by several columns (overrides sort_by/sort_dir)
+ * If q matches nothing, results fall back to trigram fuzzy matching and
+ * the response carries "did you mean" suggestions
+ * Paginate with page/per_page, or pass meta.next_cursor back as cursor for
+ * keyset pagination; count=exact|estimate|none controls the total count
+ */
+router.get('/courses', async (req, res) => {
+  try {
+    // Step 1: Validate filters, sort and pagination parameters
+    const { facets, cursor, count = 'exact' } = req.query;
+    const parsed = parseCourseQuery(req.query);
 
-    if (validatedParams.min_credits !== null) {
-      conditions.push(`credits >= $${paramCounter}`);
-      queryParams.push(validatedParams.min_credits);
-      paramCounter++;
+    if (parsed.validationError) {
+      return res.status(400).json(parsed.validationError);
     }
 
-    if (validatedParams.max_credits !== null) {
-      conditions.push(`credits <= $${paramCounter}`);
-      queryParams.push(validatedParams.max_credits);
-      paramCounter++;
+    if (!COUNT_MODES.includes(count)) {
+      return res.status(400).json({
+        error: 'Invalid count parameter',
+        message: `Count must be one of: ${COUNT_MODES.join(', ')}`
+      });
     }
 
-    if (validatedParams.min_duration_weeks !== null) {
-      conditions.push(`duration_weeks >= $${paramCounter}`);
-      queryParams.push(validatedParams.min_duration_weeks);
-      paramCounter++;
+    // Steps 2-4: Filter conditions (see parseCourseQuery)
+    const { conditions, requestedSortKeys, textQuery, searchText, validatedParams } = parsed;
+
+    // Step 5: Build final WHERE clause
+    let { whereClause, params: queryParams } = buildWhereClause(conditions);
+
+    // Step 6: Count matches (exact, planner estimate, or skipped)
+    let totalCount = await countRows(count, whereClause, queryParams);
+
+    // When full-text search finds nothing, retry with trigram matching so
+    // typos like "Machne Lerning" still return results, and suggest corrections
+    let searchMode = textQuery ? 'full_text' : null;
+    let suggestions = [];
+
+    const hasMatches = async () => {
+      if (count === 'exact') return totalCount > 0;
+      const existsResult = await db.query(`SELECT EXISTS (SELECT 1 FROM courses ${whereClause}) AS found`, queryParams);
+      return existsResult.rows[0].found;
+    };
+
+    if (textQuery && !(await hasMatches())) {
+      searchMode = 'fuzzy';
+      conditions[conditions.findIndex(condition => condition.field === 'q')] = fuzzySearchCondition(searchText);
+      ({ whereClause, params: queryParams } = buildWhereClause(conditions));
+      [totalCount, suggestions] = await Promise.all([
+        countRows(count, whereClause, queryParams),
+        getSearchSuggestions(searchText)
+      ]);
     }
 
-    if (validatedParams.max_duration_weeks !== null) {
-      conditions.push(`duration_weeks <= $${paramCounter}`);
-      queryParams.push(validatedParams.max_duration_weeks);
-      paramCounter++;
+    // Step 7: Work out where this page starts
+    // Column sorts page by keyset; relevance has no stable key, so its cursor holds an offset
+    // Without a text query there is nothing to rank, so relevance keys are dropped
+    // course_id is always the last key so ties break the same way on every page
+    const isRelevanceSort = searchMode !== null && requestedSortKeys.some(key => key.column === 'relevance');
+    const sortKeys = withTiebreaker(
+      isRelevanceSort ? requestedSortKeys : requestedSortKeys.filter(key => key.column !== 'relevance')
+    );
+
+    let offset = cursor ? 0 : (validatedParams.page - 1) * validatedParams.per_page;
+    const pageConditions = [...conditions];
+
+    if (cursor) {
+      const payload = decodeCursor(cursor);
+      if (isRelevanceSort) {
+        if (payload.k !== sortSignature(sortKeys) || !Number.isInteger(payload.o) || payload.o < 0) {
+          throw new Error('Invalid cursor: it was created for a different sort order');
+        }
+        offset = payload.o;
+      } else {
+        pageConditions.push(keysetCondition(sortKeys, payload));
+      }
     }
 
-    // Step 5: Build final WHERE clause
-    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { whereClause: pageWhereClause, params: pageParams } = buildWhereClause(pageConditions);
+    let paramCounter = pageParams.length + 1;
 
-    // Step 6: Get total count for pagination
-    const countQuery = `SELECT COUNT(*) FROM courses ${whereClause}`;
-    const countResult = await db.query(countQuery, queryParams);
-    const totalCount = parseInt(countResult.rows[0].count);
+    // Step 8: Build main query with pagination and sorting
+    // With a text query, also select its rank and highlighted snippets
+    const selectParams = [];
+    let searchColumns = '';
+    const orderClause = orderByClause(sortKeys);
 
-    // Step 7: Calculate pagination
-    const totalPages = Math.ceil(totalCount / validatedParams.per_page);
-    const offset = (validatedParams.page - 1) * validatedParams.per_page;
+    if (searchMode) {
+      const queryParam = `$${paramCounter}`;
+      paramCounter++;
 
-    // Step 8: Build main query with pagination and sorting
-    const orderClause = `ORDER BY ${sort_by} ${sort_dir.toUpperCase()}`;
+      if (searchMode === 'full_text') {
+        selectParams.push(textQuery);
+        searchColumns = `,
+        ${rankExpression(queryParam)} AS relevance,
+        ${headlineExpression('course_name', queryParam)} AS course_name_highlight,
+        ${headlineExpression('description', queryParam)} AS snippet`;
+      } else {
+        // Fuzzy matches have no lexemes to highlight, only a similarity score
+        selectParams.push(searchText);
+        searchColumns = `,
+        ${fuzzyRankExpression(queryParam)} AS relevance`;
+      }
+    }
+
+    // Fetch one extra row to know whether another page exists without counting
     const limitClause = `LIMIT $${paramCounter} OFFSET $${paramCounter + 1}`;
     
     const mainQuery = `
@@ -222,30 +369,75 @@ router.get('/courses', async (req, res) => {
         duration_weeks,
         rating,
         tuition_fee_inr,
-        year_offered
+        year_offered,
+        description${searchColumns}
       FROM courses 
-      ${whereClause}
+      ${pageWhereClause}
       ${orderClause}
       ${limitClause}
     `;
 
-    const mainQueryParams = [...queryParams, validatedParams.per_page, offset];
+    const mainQueryParams = [...pageParams, ...selectParams, validatedParams.per_page + 1, offset];
 
-    // Step 9: Execute main query
-    const result = await db.query(mainQuery, mainQueryParams);
+    // Step 9: Execute main query, plus facet counts and histograms when requested
+    const includeFacets = ['true', '1'].includes(String(facets).toLowerCase());
+
+    const [result, facetCounts, histograms] = await Promise.all([
+      db.query(mainQuery, mainQueryParams),
+      includeFacets ? getFacetCounts(conditions) : null,
+      includeFacets ? getHistograms(conditions) : null
+    ]);
+
+    const rows = result.rows.slice(0, validatedParams.per_page);
+    const hasMore = result.rows.length > validatedParams.per_page;
+
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = isRelevanceSort
+        ? offsetCursor(sortSignature(sortKeys), offset + validatedParams.per_page)
+        : cursorFromRow(rows[rows.length - 1], sortKeys);
+    }
 
     // Step 10: Return formatted response
-    res.json({
-      data: result.rows,
-      meta: {
+    // Page-number fields are kept for page mode; cursor mode only reports what's next
+    const totalPages = totalCount === null ? null : Math.ceil(totalCount / validatedParams.per_page);
+    const meta = cursor
+      ? {
+        pagination: 'cursor',
+        total_count: totalCount,
+        per_page: validatedParams.per_page,
+        has_next_page: hasMore
+      }
+      : {
+        pagination: 'page',
         total_count: totalCount,
         page: validatedParams.page,
         per_page: validatedParams.per_page,
         total_pages: totalPages,
-        has_next_page: validatedParams.page < totalPages,
+        has_next_page: hasMore,
         has_prev_page: validatedParams.page > 1
+      };
+
+    const response = {
+      data: rows,
+      meta: {
+        ...meta,
+        sort: sortSignature(sortKeys),
+        count_type: count,
+        next_cursor: nextCursor
       }
-    });
+    };
+
+    if (searchMode) {
+      response.meta.search_mode = searchMode;
+      response.suggestions = suggestions;
+    }
+
+    if (includeFacets) {
+      response.facets = { ...facetCounts, histograms };
+    }
+
+    res.json(response);
 
   } catch (error) {
     console.error('Error in /api/courses:', error);
@@ -265,4 +457,291 @@ router.get('/courses', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/courses/export?format=csv|xlsx - Download every course matching the filters
+ * Takes the same filter, search and sort parameters as GET /api/courses, without paging;
+ * rows are read and written in batches so large result sets stream
+ */
+router.get('/courses/export', async (req, res) => {
+  try {
+    // Step 1: Validate format, filters and sort
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Invalid format parameter',
+        message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const parsed = parseCourseQuery(req.query);
+
+    if (parsed.validationError) {
+      return res.status(400).json(parsed.validationError);
+    }
+
+    const { conditions, requestedSortKeys, textQuery, searchText } = parsed;
+
+    // Step 2: Fall back to trigram matching when full-text search finds nothing, as GET /courses does
+    let { whereClause, params: queryParams } = buildWhereClause(conditions);
+    let searchMode = textQuery ? 'full_text' : null;
+
+    if (textQuery) {
+      const existsResult = await db.query(`SELECT EXISTS (SELECT 1 FROM courses ${whereClause}) AS found`, queryParams);
+      if (!existsResult.rows[0].found) {
+        searchMode = 'fuzzy';
+        conditions[conditions.findIndex(condition => condition.field === 'q')] = fuzzySearchCondition(searchText);
+        ({ whereClause, params: queryParams } = buildWhereClause(conditions));
+      }
+    }
+
+    const isRelevanceSort = searchMode !== null && requestedSortKeys.some(key => key.column === 'relevance');
+    const sortKeys = withTiebreaker(
+      isRelevanceSort ? requestedSortKeys : requestedSortKeys.filter(key => key.column !== 'relevance')
+    );
+
+    // Step 3: Read batches by keyset, or by offset when ordering by relevance
+    async function* courseBatches() {
+      let lastRow = null;
+      let offset = 0;
+
+      while (true) {
+        const batchConditions = [...conditions];
+        if (lastRow && !isRelevanceSort) {
+          batchConditions.push(keysetCondition(sortKeys, decodeCursor(cursorFromRow(lastRow, sortKeys))));
+        }
+
+        const { whereClause: batchWhereClause, params: batchParams } = buildWhereClause(batchConditions);
+        let paramCounter = batchParams.length + 1;
+        const selectParams = [];
+        let relevanceColumn = '';
+
+        if (isRelevanceSort) {
+          const queryParam = `$${paramCounter}`;
+          paramCounter++;
+          selectParams.push(searchMode === 'full_text' ? textQuery : searchText);
+          relevanceColumn = `,
+            ${searchMode === 'full_text' ? rankExpression(queryParam) : fuzzyRankExpression(queryParam)} AS relevance`;
+        }
+
+        const batchQuery = `
+          SELECT 
+            course_id,
+            course_name,
+            department,
+            level,
+            delivery_mode,
+            credits,
+            duration_weeks,
+            rating,
+            tuition_fee_inr,
+            year_offered,
+            description${relevanceColumn}
+          FROM courses 
+          ${batchWhereClause}
+          ${orderByClause(sortKeys)}
+          LIMIT $${paramCounter} OFFSET $${paramCounter + 1}
+        `;
+
+        const result = await db.query(batchQuery, [...batchParams, ...selectParams, EXPORT_BATCH_SIZE, offset]);
+        if (result.rows.length > 0) {
+          yield result.rows;
+        }
+        if (result.rows.length < EXPORT_BATCH_SIZE) {
+          return;
+        }
+
+        lastRow = result.rows[result.rows.length - 1];
+        if (isRelevanceSort) {
+          offset += EXPORT_BATCH_SIZE;
+        }
+      }
+    }
+
+    // Step 4: Stream the file
+    await streamCourseExport(res, format, courseBatches(), 'courses');
+
+  } catch (error) {
+    console.error('Error in /api/courses/export:', error);
+
+    // Headers are gone once streaming started; all that's left is to cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to export courses'
+    });
+  }
+});
+
+/**
+ * GET /api/courses/suggest?prefix=mach&limit=8 - Autocomplete for the search box
+ * Returns matching course names/IDs and departments; cheap enough to call per keystroke
+ */
+router.get('/courses/suggest', async (req, res) => {
+  try {
+    // Step 1: Validate parameters
+    const prefix = typeof req.query.prefix === 'string' ? req.query.prefix.trim() : '';
+    const limit = req.query.limit === undefined ? 8 : parseInt(req.query.limit);
+
+    if (!prefix) {
+      return res.status(400).json({
+        error: 'Missing required parameter',
+        message: 'Please provide a search prefix using the "prefix" parameter (e.g., ?prefix=mach)'
+      });
+    }
+
+    if (isNaN(limit) || limit < 1 || limit > 20) {
+      return res.status(400).json({
+        error: 'Invalid limit parameter',
+        message: 'Limit must be an integer between 1 and 20'
+      });
+    }
+
+    // Step 2: Look up (cached) suggestions
+    const suggestions = await getCourseSuggestions(prefix, limit);
+
+    res.json({
+      prefix,
+      ...suggestions
+    });
+
+  } catch (error) {
+    console.error('Error in /api/courses/suggest:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch suggestions'
+    });
+  }
+});
+
+/**
+ * GET /api/courses/:id - Single course with department context
+ * Returns the course plus its department's average fee and rating, where its
+ * rating ranks within the department, and the top similar courses
+ */
+router.get('/courses/:id', async (req, res) => {
+  try {
+    const courseId = req.params.id.trim();
+
+    // Step 1: Load the course itself
+    const courseResult = await db.query(
+      `SELECT course_id, course_name, department, level, delivery_mode, credits,
+              duration_weeks, rating, tuition_fee_inr, year_offered, description
+       FROM courses
+       WHERE course_id = $1`,
+      [courseId]
+    );
+
+    if (courseResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Course not found',
+        message: `No course exists with ID "${courseId}"`
+      });
+    }
+
+    const course = courseResult.rows[0];
+
+    // Step 2: Department averages and this course's rating rank, in one pass
+    const statsResult = await db.query(
+      `SELECT
+         COUNT(*)::int AS course_count,
+         ROUND(AVG(tuition_fee_inr))::int AS avg_fee,
+         ROUND(AVG(rating), 2) AS avg_rating,
+         COUNT(*) FILTER (WHERE rating IS NOT NULL)::int AS rated_count,
+         (COUNT(*) FILTER (WHERE rating > $2) + 1)::int AS rating_rank
+       FROM courses
+       WHERE department = $1`,
+      [course.department, course.rating]
+    );
+    const stats = statsResult.rows[0];
+
+    // Step 3: Similar courses from the recommendation engine
+    const { similar } = await findSimilarCourses(course.course_id, { limit: 4 });
+
+    // Step 4: Return course with derived data
+    res.json({
+      data: course,
+      department_stats: {
+        department: course.department,
+        course_count: stats.course_count,
+        avg_fee: stats.avg_fee,
+        avg_rating: stats.avg_rating === null ? null : Number(stats.avg_rating)
+      },
+      // Rank is only meaningful when the course itself has a rating
+      department_rank: course.rating === null ? null : {
+        rank: stats.rating_rank,
+        out_of: stats.rated_count
+      },
+      similar_courses: similar
+    });
+
+  } catch (error) {
+    console.error('Error in /api/courses/:id:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch course'
+    });
+  }
+});
+
+/**
+ * GET /api/courses/:id/similar?limit=5 - Courses most like the given one
+ * Scores department, level, delivery mode, credits, duration, fee, rating and
+ * course name keywords; each result lists the attributes that matched
+ * Pass cheaper_only=true to only suggest lower-fee alternatives
+ */
+router.get('/courses/:id/similar', async (req, res) => {
+  try {
+    // Step 1: Validate parameters
+    const courseId = req.params.id.trim();
+    const limit = req.query.limit === undefined ? 5 : parseInt(req.query.limit);
+    const cheaperOnly = ['true', '1'].includes(String(req.query.cheaper_only).toLowerCase());
+
+    if (isNaN(limit) || limit < 1 || limit > 20) {
+      return res.status(400).json({
+        error: 'Invalid limit parameter',
+        message: 'Limit must be an integer between 1 and 20'
+      });
+    }
+
+    // Step 2: Score the catalogue against this course
+    const result = await findSimilarCourses(courseId, { limit, cheaperOnly });
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Course not found',
+        message: `No course exists with ID "${courseId}"`
+      });
+    }
+
+    // Step 3: Return ranked matches with explanations
+    res.json({
+      course_id: result.course.course_id,
+      data: result.similar,
+      meta: {
+        limit,
+        cheaper_only: cheaperOnly,
+        candidates_considered: result.candidatesConsidered
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in /api/courses/:id/similar:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to find similar courses'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
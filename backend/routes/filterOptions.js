@@ -0,0 +1,43 @@
+const express = require('express');
+const { getFacetCounts, getRangeBounds } = require('../lib/facets');
+const router = express.Router();
+
+/**
+ * GET /api/filter-options - Distinct filter values with live course counts
+ * Reads straight from the courses table so newly ingested departments
+ * show up in the frontend dropdowns without a redeploy
+ */
+router.get('/filter-options', async (req, res) => {
+  try {
+    // Step 1: Compute per-value counts and numeric bounds over the whole table
+    const [facets, ranges] = await Promise.all([
+      getFacetCounts(),
+      getRangeBounds()
+    ]);
+
+    // Step 2: Flatten facet values into the plain lists the dropdowns use
+    // level is a required column, so its counts cover every course
+    const values = (column) => facets[column].map(item => item.value);
+    const totalCount = facets.level.reduce((sum, item) => sum + item.count, 0);
+
+    // Step 3: Return options, counts and bounds
+    res.json({
+      departments: values('department'),
+      levels: values('level'),
+      delivery_modes: values('delivery_mode'),
+      years: values('year_offered'),
+      facets,
+      ranges,
+      total_count: totalCount
+    });
+
+  } catch (error) {
+    console.error('Error in /api/filter-options:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch filter options'
+    });
+  }
+});
+
+module.exports = router;
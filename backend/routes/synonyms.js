@@ -0,0 +1,94 @@
+const express = require('express');
+const { readSynonymFile } = require('../lib/synonyms');
+const { listStoredSynonyms, validateSynonym, saveSynonym, deleteSynonym } = require('../lib/synonymStore');
+const router = express.Router();
+
+/**
+ * Only admins change the dictionary: x-admin-token must match ADMIN_TOKEN
+ */
+function requireAdminToken(req, res, next) {
+  const adminToken = req.headers['x-admin-token'];
+  const expectedToken = process.env.ADMIN_TOKEN;
+
+  if (!expectedToken || adminToken !== expectedToken) {
+    return res.status(401).json({
+      error: 'Unauthorized: Invalid or missing admin token'
+    });
+  }
+  next();
+}
+
+/**
+ * GET /api/ask/synonyms - The Ask parser's synonym dictionary
+ * defaults come from the dictionary file, data lists the stored synonyms that
+ * add to or override them
+ */
+router.get('/ask/synonyms', async (req, res) => {
+  try {
+    res.json({
+      data: await listStoredSynonyms(),
+      defaults: readSynonymFile()
+    });
+  } catch (error) {
+    console.error('Error in GET /api/ask/synonyms:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch synonyms'
+    });
+  }
+});
+
+/**
+ * POST /api/ask/synonyms - Add a synonym, e.g. "DSA" for Computer Science
+ * Body: { field: 'department' | 'level' | 'delivery_mode', value, phrase, weight?: 0-1 }
+ * Posting the same field, value and phrase again changes its weight; weight 0
+ * switches off a default synonym. The parser uses it from the next question on
+ */
+router.post('/ask/synonyms', requireAdminToken, async (req, res) => {
+  try {
+    // Step 1: Validate the synonym
+    try {
+      validateSynonym(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: 'Validation Error', message: validationError.message });
+    }
+
+    // Step 2: Store it; the cached dictionary is rebuilt on the next question
+    const synonym = await saveSynonym(req.body);
+    res.status(201).json({ data: synonym });
+  } catch (error) {
+    console.error('Error in POST /api/ask/synonyms:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to save synonym'
+    });
+  }
+});
+
+/**
+ * DELETE /api/ask/synonyms/:id - Remove a stored synonym
+ * Synonyms from the dictionary file can't be deleted, only given weight 0
+ */
+router.delete('/ask/synonyms/:id', requireAdminToken, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const deleted = Number.isInteger(id) && id > 0 ? await deleteSynonym(id) : false;
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Synonym not found',
+        message: `No stored synonym with ID "${req.params.id}"`
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error in DELETE /api/ask/synonyms/:id:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete synonym'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+require('dotenv').config(); // Load DATABASE_URL before db.js reads it
+
+const db = require('../db');
+const { getEmbeddingProvider, embedCourses } = require('../lib/semanticIndex');
+
+/**
+ * Embed CLI - catches up the vectors semantic Ask search uses
+ * Ingestion embeds new and changed courses itself; run this after migrating an
+ * existing catalogue or switching ASK_EMBEDDINGS. Courses whose text hasn't changed
+ * since they were embedded with the current provider are skipped
+ * Usage: npm run embed
+ */
+
+const run = async () => {
+  const provider = getEmbeddingProvider();
+  if (!provider) {
+    console.log('ℹ️  Semantic search is off (ASK_EMBEDDINGS, or no OPENAI_API_KEY for "openai"); nothing to embed');
+    return;
+  }
+
+  console.log(`🧭 Embedding courses with ${provider.name}`);
+  const { embedded, unchanged } = await embedCourses();
+  console.log(`✅ Embedded ${embedded} courses, ${unchanged} unchanged`);
+};
+
+run()
+  .then(() => db.pool.end())
+  .catch(async (error) => {
+    console.error('❌ Embedding failed:', error.message);
+    await db.pool.end();
+    process.exit(1);
+  });
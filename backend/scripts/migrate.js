@@ -0,0 +1,59 @@
+require('dotenv').config(); // Load DATABASE_URL before db.js reads it
+
+const db = require('../db');
+const { migrateUp, migrateDown, getMigrationStatus } = require('../lib/migrator');
+
+/**
+ * Migration CLI
+ * Usage: npm run migrate up | down [steps] | status
+ */
+
+const USAGE = 'Usage: npm run migrate <up|down [steps]|status>';
+
+const run = async () => {
+  const [command, arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database is up to date');
+      break;
+    }
+
+    case 'down': {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (isNaN(steps) || steps < 1) {
+        throw new Error(`Invalid steps: must be a positive integer. ${USAGE}`);
+      }
+      const reverted = await migrateDown(steps);
+      console.log(reverted.length > 0
+        ? `✅ Reverted ${reverted.length} migration(s)`
+        : '✅ Nothing to revert');
+      break;
+    }
+
+    case 'status': {
+      const migrations = await getMigrationStatus();
+      migrations.forEach(migration => {
+        const state = migration.applied
+          ? `applied ${new Date(migration.applied_at).toISOString()}`
+          : 'pending';
+        console.log(`${migration.applied ? '✔' : '…'} ${migration.version}_${migration.name} - ${state}`);
+      });
+      break;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+};
+
+run()
+  .then(() => db.pool.end())
+  .catch(async (error) => {
+    console.error('❌ Migration failed:', error.message);
+    await db.pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,40 @@
+require('dotenv').config(); // Load DATABASE_URL before db.js reads it
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const { ingestCourseCsv } = require('../lib/courseIngest');
+
+/**
+ * Seed CLI - loads a course CSV through the same code path as POST /api/ingest
+ * Usage: npm run seed [path/to/courses.csv]
+ */
+
+const DEFAULT_SEED_FILE = path.join(__dirname, '..', 'database', 'sample_courses.csv');
+
+const run = async () => {
+  const file = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_SEED_FILE;
+  console.log(`🌱 Seeding courses from ${file}`);
+
+  const summary = await ingestCourseCsv(fs.readFileSync(file, 'utf8'));
+  console.log(`✅ Inserted ${summary.inserted}, updated ${summary.updated}, failed ${summary.failed} of ${summary.total_processed} rows`);
+  if (summary.embeddings.error) {
+    console.error(`⚠️  Embedding failed (${summary.embeddings.error}); run npm run embed to retry`);
+  } else {
+    console.log(`🧭 Embedded ${summary.embeddings.embedded} courses for semantic search`);
+  }
+
+  if (summary.failed_rows) {
+    summary.failed_rows.forEach(failure => {
+      console.error(`   Row ${failure.row}: ${failure.error}`);
+    });
+  }
+};
+
+run()
+  .then(() => db.pool.end())
+  .catch(async (error) => {
+    console.error('❌ Seeding failed:', error.message);
+    await db.pool.end();
+    process.exit(1);
+  });
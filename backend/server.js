@@ -9,7 +9,11 @@ const db = require('./db');
 const ingestRoutes = require('./routes/ingest');
 const coursesRoutes = require('./routes/courses');
 const compareRoutes = require('./routes/compare');
+const comparisonsRoutes = require('./routes/comparisons');
 const askRoutes = require('./routes/ask');
+const synonymsRoutes = require('./routes/synonyms');
+const filterOptionsRoutes = require('./routes/filterOptions');
+const configRoutes = require('./routes/config');
 
 /**
  * CourseQuest Lite API Server
@@ -88,7 +92,11 @@ console.log('🛣️  Setting up API routes...');
 app.use('/api', ingestRoutes);
 app.use('/api', coursesRoutes);
 app.use('/api', compareRoutes);
+app.use('/api', comparisonsRoutes);
 app.use('/api', askRoutes);
+app.use('/api', synonymsRoutes);
+app.use('/api', filterOptionsRoutes);
+app.use('/api', configRoutes);
 
 // Step 6: Error handling middleware
 
@@ -102,8 +110,20 @@ app.use((req, res, next) => {
       'GET /health',
       'POST /api/ingest',
       'GET /api/courses',
+      'GET /api/courses/suggest',
+      'GET /api/courses/export',
+      'GET /api/courses/:id',
+      'GET /api/courses/:id/similar',
       'GET /api/compare',
-      'POST /api/ask'
+      'GET /api/compare/export',
+      'POST /api/comparisons',
+      'GET /api/comparisons/:id',
+      'POST /api/ask',
+      'GET /api/ask/synonyms',
+      'POST /api/ask/synonyms',
+      'DELETE /api/ask/synonyms/:id',
+      'GET /api/filter-options',
+      'GET /api/config'
     ]
   });
 });
@@ -137,8 +157,18 @@ const startServer = () => {
     console.log('   GET  /health - Health check');
     console.log('   POST /api/ingest - CSV upload');
     console.log('   GET  /api/courses - Search and filter courses');
+    console.log('   GET  /api/courses/suggest - Search box autocomplete');
+    console.log('   GET  /api/courses/export - Download search results as CSV or XLSX');
+    console.log('   GET  /api/courses/:id - Course details');
+    console.log('   GET  /api/courses/:id/similar - Similar course recommendations');
     console.log('   GET  /api/compare - Compare multiple courses');
+    console.log('   GET  /api/compare/export - Download a comparison as PDF');
+    console.log('   POST /api/comparisons - Save a shareable comparison');
+    console.log('   GET  /api/comparisons/:id - Load a saved comparison');
     console.log('   POST /api/ask - Natural language course search');
+    console.log('   GET/POST /api/ask/synonyms - Ask parser synonym dictionary');
+    console.log('   GET  /api/filter-options - Filter values with course counts');
+    console.log('   GET  /api/config - Public settings such as the compare limit');
     console.log('===============================================');
   });
 
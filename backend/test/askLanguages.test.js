@@ -0,0 +1,46 @@
+const { detectLanguage, normaliseQuestion } = require('../lib/askLanguages');
+
+describe('detectLanguage', () => {
+  test.each([
+    ['online design courses under 50k', 'en'],
+    ['do you have law courses in 2024', 'en'],
+    ['sasta online MBA course chahiye', 'hinglish'],
+    ['sirf online', 'hinglish'],
+    ['ऑनलाइन एमबीए कोर्स', 'hi']
+  ])('%s -> %s', (question, language) => {
+    expect(detectLanguage(question)).toBe(language);
+  });
+});
+
+describe('normaliseQuestion', () => {
+  test('leaves English questions alone', () => {
+    expect(normaliseQuestion('Top 5 cheapest design courses')).toEqual({
+      language: 'en',
+      question: 'Top 5 cheapest design courses'
+    });
+  });
+
+  test.each([
+    ['sasta online MBA course chahiye 1 lakh se kam', 'cheapest online mba course under 1 lakh'],
+    ['4 rating se zyada wale design courses', 'rated over 4 design courses'],
+    ['do saal ka PG course, online nahi', '2 years pg course, not online'],
+    ['dedh lakh se kam ke MBA courses', 'under 1.5 lakh mba courses'],
+    ['50k se 1 lakh ke beech law courses', 'between 50k and 1 lakh law courses'],
+    ['law ke alawa koi bhi online course', 'except law any online course'],
+    ['2022 ke baad ke design course', 'after 2022 design course'],
+    ['bees hazaar se kam ka design course', 'under 20 thousand design course'],
+    ['paanch sau se zyada', 'over 500'],
+    ['isse sasta', 'cheaper']
+  ])('Hinglish: %s', (question, english) => {
+    expect(normaliseQuestion(question)).toEqual({ language: 'hinglish', question: english });
+  });
+
+  test.each([
+    ['१ लाख से कम के ऑनलाइन एमबीए कोर्स', 'under 1 lakh online mba course'],
+    ['दो साल का स्नातकोत्तर कोर्स', '2 years postgraduate course'],
+    ['पचास हज़ार से कम ऑनलाइन कोर्स', 'under 50 thousand online course'],
+    ['कानून के अलावा ऑनलाइन कोर्स', 'except law online course']
+  ])('Hindi: %s', (question, english) => {
+    expect(normaliseQuestion(question)).toEqual({ language: 'hi', question: english });
+  });
+});
@@ -0,0 +1,32 @@
+const { extractFollowUpIntents, applyFollowUp } = require('../lib/askSessions');
+
+// A follow-up turn as POST /api/ask runs it, with the parser's filters for what's left
+const followUp = (previousFilters, question, reference, parsedFilters = {}) => {
+  const intents = extractFollowUpIntents(question);
+  return applyFollowUp({ filters: previousFilters, matches: {} }, { filters: parsedFilters, matches: {} }, intents, reference).filters;
+};
+
+describe('relative follow-ups', () => {
+  const previous = { department: 'Design', max_fee: 100000, min_rating: 3 };
+  const reference = { avg_fee: 80000, avg_rating: 3.5 };
+
+  test.each([
+    ['cheaper', { max_fee: 79999 }],
+    ['better rated ones', { min_rating: 3.5 }]
+  ])('"%s" compares with the previous results', (question, expected) => {
+    expect(followUp(previous, question, reference)).toMatchObject({ department: 'Design', ...expected });
+  });
+
+  test.each([
+    'cheaper than 30000',
+    'now ones cheaper than ₹20000',
+    'better rated than 4'
+  ])('"%s" is left to the parser', (question) => {
+    expect(extractFollowUpIntents(question)).toMatchObject({ question, cheaper: null, betterRated: null });
+  });
+
+  test('uses the number the parser read instead of the previous results', () => {
+    expect(followUp(previous, 'cheaper than 30000', reference, { max_fee: 30000 }))
+      .toEqual({ department: 'Design', max_fee: 30000, min_rating: 3 });
+  });
+});
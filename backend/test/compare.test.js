@@ -0,0 +1,40 @@
+const express = require('express');
+
+jest.mock('../db', () => ({ query: jest.fn() }));
+const db = require('../db');
+const compareRoutes = require('../routes/compare');
+
+describe('GET /api/compare', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    const app = express();
+    app.use('/api', compareRoutes);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  test('computes insights from NUMERIC columns that pg returns as strings', async () => {
+    db.query.mockResolvedValue({
+      rows: [
+        { course_id: 'CS101', rating: '4.5', tuition_fee_inr: '50000', credits: 4, level: 'UG', delivery_mode: 'online', department: 'Computer Science' },
+        { course_id: 'DS201', rating: '3.9', tuition_fee_inr: '70000', credits: 3, level: 'PG', delivery_mode: 'offline', department: 'Design' }
+      ]
+    });
+
+    const response = await fetch(`${baseUrl}/api/compare?ids=CS101,DS201`);
+    const { insights } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(insights.rating_range).toEqual({ min: 3.9, max: 4.5, avg: 4.2 });
+    expect(insights.fee_range).toEqual({ min: 50000, max: 70000, avg: 60000 });
+    expect(insights.credits_range).toEqual({ min: 3, max: 4, avg: 3.5 });
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  courseEmbeddingText,
+  cosineSimilarity,
+  createLocalEmbeddingProvider,
+  createOpenAIEmbeddingProvider
+} = require('../lib/embeddings');
+
+describe('createLocalEmbeddingProvider', () => {
+  const provider = createLocalEmbeddingProvider({ dimensions: 512 });
+
+  test('embeds the same text to the same unit-length vector', async () => {
+    const [first, second] = await provider.embed(['Project Management', 'Project Management']);
+    expect(first).toHaveLength(512);
+    expect(first).toEqual(second);
+    expect(cosineSimilarity(first, first)).toBeCloseTo(1, 6);
+  });
+
+  test('ranks courses sharing words or word parts above unrelated ones', async () => {
+    const courses = [
+      { course_name: 'Project Management', department: 'Management' },
+      { course_name: 'Constitutional Law', department: 'Law' },
+      { course_name: 'Human Anatomy', department: 'Medicine' }
+    ];
+    const [question, ...vectors] = await provider.embed([
+      'become a product manager',
+      ...courses.map(courseEmbeddingText)
+    ]);
+    const [management, law, anatomy] = vectors.map(vector => cosineSimilarity(question, vector));
+
+    expect(management).toBeGreaterThan(0.3);
+    expect(management).toBeGreaterThan(law);
+    expect(management).toBeGreaterThan(anatomy);
+  });
+
+  test('names vectors by model version and size', () => {
+    expect(provider.name).toBe('local-v1:512');
+    expect(createLocalEmbeddingProvider({ dimensions: 64 }).name).toBe('local-v1:64');
+  });
+});
+
+describe('createOpenAIEmbeddingProvider', () => {
+  test('returns normalised vectors in input order', async () => {
+    const create = jest.fn().mockResolvedValue({
+      data: [
+        { index: 1, embedding: [0, 2] },
+        { index: 0, embedding: [3, 4] }
+      ]
+    });
+    const provider = createOpenAIEmbeddingProvider({
+      client: { embeddings: { create } },
+      model: 'text-embedding-3-small',
+      dimensions: 2
+    });
+
+    await expect(provider.embed(['first', 'second'])).resolves.toEqual([[0.6, 0.8], [0, 1]]);
+    expect(create).toHaveBeenCalledWith({ model: 'text-embedding-3-small', input: ['first', 'second'], dimensions: 2 });
+    expect(provider.name).toBe('openai:text-embedding-3-small:2');
+  });
+});
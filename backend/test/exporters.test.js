@@ -0,0 +1,29 @@
+const { Writable } = require('stream');
+const { streamCourseExport } = require('../lib/exporters');
+
+describe('streamCourseExport', () => {
+  test('stops reading batches when the client disconnects mid-CSV', async () => {
+    // A client that stops reading: writes are never acknowledged, so the stream never drains
+    const res = new Writable({ highWaterMark: 64, write() {} });
+    res.setHeader = jest.fn();
+
+    let batchesRead = 0;
+    let generatorReturned = false;
+    async function* courseBatches() {
+      try {
+        while (true) {
+          batchesRead++;
+          yield Array.from({ length: 50 }, (_, i) => ({ course_id: `C${i}`, course_name: 'Course '.repeat(10) }));
+        }
+      } finally {
+        generatorReturned = true;
+      }
+    }
+
+    setTimeout(() => res.destroy(), 50);
+    await streamCourseExport(res, 'csv', courseBatches(), 'courses');
+
+    expect(generatorReturned).toBe(true);
+    expect(batchesRead).toBeLessThan(100);
+  });
+});
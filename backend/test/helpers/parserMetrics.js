@@ -0,0 +1,93 @@
+/**
+ * Per-field precision and recall of a question parser against golden fixtures
+ * A fixture is { question, expected } where expected is the full filter object
+ * the question should produce. Leftover search words (q) are only scored when a
+ * fixture lists them, since most fixtures don't care which words are kept
+ */
+
+// Lists of alternatives compare regardless of order
+const normalise = (value) => JSON.stringify(Array.isArray(value) ? [...value].sort() : value);
+
+/**
+ * Score parse(question).filters for every fixture
+ * Returns { fields: { [field]: { tp, fp, fn } }, exact, total, mismatches }
+ * where mismatches lists the fixtures whose filters were not exactly right
+ */
+function scoreFixtures(parse, fixtures) {
+  const fields = {};
+  const mismatches = [];
+  let exact = 0;
+
+  fixtures.forEach(({ question, expected }) => {
+    const actual = parse(question).filters;
+    const scored = [...new Set([...Object.keys(expected), ...Object.keys(actual)])]
+      .filter(field => field !== 'q' || expected.q !== undefined);
+    let correct = true;
+
+    scored.forEach(field => {
+      const counts = fields[field] || (fields[field] = { tp: 0, fp: 0, fn: 0 });
+      const wanted = expected[field];
+      const got = actual[field];
+      if (wanted !== undefined && got !== undefined && normalise(wanted) === normalise(got)) {
+        counts.tp++;
+        return;
+      }
+      correct = false;
+      if (got !== undefined) counts.fp++;
+      if (wanted !== undefined) counts.fn++;
+    });
+
+    if (correct) {
+      exact++;
+    } else {
+      mismatches.push({ question, expected, actual });
+    }
+  });
+
+  return { fields, exact, total: fixtures.length, mismatches };
+}
+
+const ratio = (part, whole) => (whole === 0 ? null : part / whole);
+
+/**
+ * Precision, recall and exact-match rate, rounded to three decimals
+ * A field that was never predicted (or never expected) has null precision (or recall)
+ */
+function summarise({ fields, exact, total }) {
+  const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+  const summary = { exact_match: round(ratio(exact, total)), fields: {} };
+
+  Object.keys(fields).sort().forEach(field => {
+    const { tp, fp, fn } = fields[field];
+    summary.fields[field] = {
+      precision: round(ratio(tp, tp + fp)),
+      recall: round(ratio(tp, tp + fn))
+    };
+  });
+
+  return summary;
+}
+
+/**
+ * Plain-text table of a score, for the test output
+ */
+function formatReport(score) {
+  const summary = summarise(score);
+  const cell = (value) => (value === null ? '-' : value.toFixed(3)).padStart(9);
+  const rows = Object.entries(score.fields).map(([field, { tp, fp, fn }]) => (
+    `${field.padEnd(22)}${cell(summary.fields[field].precision)}${cell(summary.fields[field].recall)}` +
+    `${String(tp).padStart(6)}${String(fp).padStart(6)}${String(fn).padStart(6)}`
+  ));
+
+  return [
+    `Rule parser: ${score.exact}/${score.total} questions exactly right (${cell(summary.exact_match).trim()})`,
+    `${'field'.padEnd(22)}${'precision'.padStart(9)}${'recall'.padStart(9)}${'tp'.padStart(6)}${'fp'.padStart(6)}${'fn'.padStart(6)}`,
+    ...rows.sort()
+  ].join('\n');
+}
+
+module.exports = {
+  scoreFixtures,
+  summarise,
+  formatReport
+};
@@ -0,0 +1,144 @@
+const {
+  validateFilters,
+  createRuleQueryParser,
+  createLlmQueryParser,
+  parseWithFallback
+} = require('../lib/queryParsers');
+
+const DEPARTMENTS = ['Computer Science', 'Design', 'Law'];
+
+// Stands in for the rule parser, so these tests only exercise the fallback logic
+const RULE_RESULTS = {
+  'online design courses': { delivery_mode: 'online', department: 'Design' },
+  'law courses rated above 4': { department: 'Law', min_rating: 4 },
+  'law courses': { department: 'Law' }
+};
+
+// A chat completions client that answers with one set_course_filters call
+const functionCallClient = (args) => ({
+  chat: {
+    completions: {
+      create: jest.fn().mockResolvedValue({
+        choices: [{
+          message: {
+            tool_calls: [{
+              function: {
+                name: 'set_course_filters',
+                arguments: typeof args === 'string' ? args : JSON.stringify(args)
+              }
+            }]
+          }
+        }]
+      })
+    }
+  }
+});
+
+const llmParser = (client, timeoutMs = 1000) => createLlmQueryParser({ client, model: 'test-model', timeoutMs });
+const ruleParser = createRuleQueryParser(question => ({ filters: RULE_RESULTS[question], matches: {} }));
+
+const ask = (primary, question) => parseWithFallback(question, {
+  primary,
+  fallback: ruleParser,
+  context: { departments: DEPARTMENTS }
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('validateFilters', () => {
+  test('returns the catalogue spelling of departments and normalised values', () => {
+    expect(validateFilters(
+      { department: 'law', level: 'pg', delivery_mode: 'Online', max_fee: '50000', q: ' ' },
+      { departments: DEPARTMENTS }
+    )).toEqual({ department: 'Law', level: 'PG', delivery_mode: 'online', max_fee: 50000 });
+  });
+
+  test.each([
+    [{ department: 'Astrology' }, /unknown department "Astrology"/],
+    [{ min_rating: 7 }, /min_rating must be a number from 0 to 5/],
+    [{ min_credits: 2.5 }, /min_credits must be a whole number/],
+    [{ min_fee: 90000, max_fee: 10000 }, /min_fee is greater than max_fee/]
+  ])('rejects %j', (filters, message) => {
+    expect(() => validateFilters(filters, { departments: DEPARTMENTS })).toThrow(message);
+  });
+});
+
+describe('parseWithFallback with the LLM parser', () => {
+  test('uses a valid function call with the phrases found in the question', async () => {
+    const client = functionCallClient({
+      department: 'Design',
+      max_fee: 50000,
+      matched_phrases: { department: 'design', max_fee: 'under 50k', level: 'postgraduate' }
+    });
+
+    await expect(ask(llmParser(client), 'design courses under 50k')).resolves.toEqual({
+      filters: { department: 'Design', max_fee: 50000 },
+      matches: { department: 'design', max_fee: 'under 50k' },
+      parser: 'llm',
+      fallbackReason: null
+    });
+    expect(client.chat.completions.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to the rules when the arguments are not JSON', async () => {
+    const result = await ask(llmParser(functionCallClient('{department: Design')), 'online design courses');
+    expect(result).toEqual({
+      filters: { delivery_mode: 'online', department: 'Design' },
+      matches: {},
+      parser: 'rules',
+      fallbackReason: 'invalid_output'
+    });
+  });
+
+  test.each([
+    [{ department: 'Astrology', delivery_mode: 'online' }],
+    [{ department: 'Law', min_rating: 9 }]
+  ])('never passes on an unknown department or out-of-range value: %j', async (args) => {
+    const result = await ask(llmParser(functionCallClient(args)), 'law courses rated above 4');
+    expect(result).toEqual({
+      filters: { department: 'Law', min_rating: 4 },
+      matches: {},
+      parser: 'rules',
+      fallbackReason: 'invalid_output'
+    });
+  });
+
+  test('answers with the rules when the model never responds', async () => {
+    let signal;
+    const client = {
+      chat: {
+        completions: {
+          create: jest.fn((body, options) => {
+            signal = options.signal;
+            return new Promise(() => {});
+          })
+        }
+      }
+    };
+
+    const result = await ask(llmParser(client, 20), 'law courses');
+    expect(result).toEqual({
+      filters: { department: 'Law' },
+      matches: {},
+      parser: 'rules',
+      fallbackReason: 'timeout'
+    });
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('reports other client failures as errors', async () => {
+    const client = { chat: { completions: { create: jest.fn().mockRejectedValue(new Error('502 Bad Gateway')) } } };
+    await expect(ask(llmParser(client), 'law courses')).resolves.toEqual({
+      filters: { department: 'Law' },
+      matches: {},
+      parser: 'rules',
+      fallbackReason: 'error'
+    });
+  });
+});
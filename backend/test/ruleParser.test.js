@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { parseNaturalLanguageQuery } = require('../lib/ruleParser');
+const { compileSynonyms, readSynonymFile } = require('../lib/synonyms');
+const { normaliseQuestion } = require('../lib/askLanguages');
+const { scoreFixtures, summarise, formatReport } = require('./helpers/parserMetrics');
+
+const FIXTURES_PATH = path.join(__dirname, 'fixtures', 'askQuestions.json');
+const BASELINE_PATH = path.join(__dirname, 'fixtures', 'askQuestionsBaseline.json');
+
+// Scores may move by rounding only; anything lower is a regression
+const TOLERANCE = 0.001;
+
+// Hindi and Hinglish questions are rewritten into English first, as POST /api/ask does
+const parse = (question) => parseNaturalLanguageQuery(normaliseQuestion(question).question);
+
+describe('parseNaturalLanguageQuery', () => {
+  test.each([
+    ['design courses', { department: 'Design' }],
+    ['courses with at least 4 credits', { min_credits: 4 }],
+    ['courses worth 4 credits', { min_credits: 4, max_credits: 4 }],
+    ['not online law courses', { exclude_delivery_mode: 'online', department: 'Law' }],
+    ['online or hybrid design courses', { delivery_mode: ['online', 'hybrid'], department: 'Design' }],
+    ['top 5 courses', { limit: 5, sort: 'rating:desc' }],
+    ['courses under 1.5 lakh', { max_fee: 150000 }],
+    ['courses under ₹50k since 2022', { max_fee: 50000, min_year: 2022 }],
+    ['courses lasting 3 months', { min_duration_weeks: 11, max_duration_weeks: 15 }]
+  ])('%s', (question, expected) => {
+    // Only the fields named here; stray matches are measured by the golden questions
+    expect(parse(question).filters).toMatchObject(expected);
+  });
+
+  test('records the phrase behind each filter', () => {
+    const { matches } = parse('cheapest online design courses');
+    expect(matches).toEqual({ sort: 'cheapest', delivery_mode: 'online', department: 'design' });
+  });
+
+  test('keeps unrecognised words as search terms', () => {
+    expect(parse('design courses about typography').filters).toEqual({ department: 'Design', q: 'typography' });
+  });
+
+  test.each([
+    ['design courses costing 50k', { department: 'Design', min_fee: 50000, max_fee: 50000 }],
+    ['courses costing between 1 and 2 lakh', { min_fee: 100000, max_fee: 200000 }],
+    ['design courses for 2.5 lakh', { department: 'Design' }]
+  ])('never keeps fee words or amounts as search terms: %s', (question, expected) => {
+    const { filters } = parse(question);
+    expect(filters).toMatchObject(expected);
+    expect(filters.q).toBeUndefined();
+  });
+
+  test('reads "between X and Y credits" as a range, not as Y credits', () => {
+    const { filters } = parse('courses between 3 and 5 credits');
+    expect([filters.min_credits, filters.max_credits]).toEqual([3, 5]);
+  });
+});
+
+describe('synonym dictionary', () => {
+  test('matches whole words only', () => {
+    // "ee" in "fees", "it" in "credits", "ma" in "management" used to set filters
+    const { filters } = parse('management courses with fees between 3 and 5 credits');
+    expect(filters.department).toBe('Management');
+    expect(filters.level).toBeUndefined();
+  });
+
+  test('prefers the longest phrase', () => {
+    expect(parse('history of art').filters.department).toBe('Arts');
+  });
+
+  test('keeps a vague synonym as a search term and reports confidence', () => {
+    expect(parse('creative courses').filters).toEqual({ q: 'creative' });
+    expect(parse('online data courses').confidence).toEqual({ delivery_mode: 1, department: 0.6 });
+  });
+
+  test('keeps a multi-word topic as a search term but not the department name', () => {
+    expect(parse('show me a course on machine learning').filters).toEqual({ department: 'Computer Science', q: 'machine learning' });
+    expect(parse('computer science courses').filters).toEqual({ department: 'Computer Science' });
+  });
+
+  test('uses synonyms added on top of the file', () => {
+    const synonyms = compileSynonyms([
+      ...readSynonymFile(),
+      { field: 'department', value: 'Computer Science', phrase: 'DSA', weight: 1 },
+      { field: 'department', value: 'Computer Science', phrase: 'data', weight: 0 }
+    ]);
+    expect(parse('dsa courses').filters.department).toBeUndefined();
+    expect(parseNaturalLanguageQuery('dsa courses', { synonyms }).filters).toEqual({ department: 'Computer Science' });
+    expect(parseNaturalLanguageQuery('data courses', { synonyms }).filters).toEqual({ q: 'data' });
+  });
+});
+
+describe('golden questions', () => {
+  const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8'));
+  const score = scoreFixtures(parse, fixtures);
+  const summary = summarise(score);
+
+  afterAll(() => {
+    process.stdout.write(`\n${formatReport(score)}\n\n`);
+    // UPDATE_PARSER_BASELINE=1 npm test records the current scores as the new baseline
+    if (process.env.UPDATE_PARSER_BASELINE) {
+      fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(summary, null, 2)}\n`);
+    }
+  });
+
+  test('has hundreds of fixtures with valid expectations', () => {
+    expect(fixtures.length).toBeGreaterThanOrEqual(300);
+    fixtures.forEach(fixture => {
+      expect(typeof fixture.question).toBe('string');
+      expect(typeof fixture.expected).toBe('object');
+    });
+  });
+
+  const baseline = fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')) : null;
+  const checkBaseline = baseline && !process.env.UPDATE_PARSER_BASELINE ? test : test.skip;
+
+  checkBaseline('exact-match rate does not drop below the baseline', () => {
+    expect(summary.exact_match).toBeGreaterThanOrEqual(baseline.exact_match - TOLERANCE);
+  });
+
+  const baselineFields = baseline ? Object.entries(baseline.fields) : [['(none)', {}]];
+  checkBaseline.each(baselineFields)('%s precision and recall do not drop below the baseline', (field, { precision, recall }) => {
+    const current = summary.fields[field] || { precision: null, recall: null };
+    if (precision !== null) expect(current.precision).toBeGreaterThanOrEqual(precision - TOLERANCE);
+    if (recall !== null) expect(current.recall).toBeGreaterThanOrEqual(recall - TOLERANCE);
+  });
+});
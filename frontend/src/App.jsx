@@ -1,8 +1,9 @@
-import React, { createContext, useContext, useState } from 'react'
+import React, { createContext, useContext, useState, useEffect } from 'react'
 import { BrowserRouter as Router, Routes, Route, Link, useLocation } from 'react-router-dom'
 import SearchPage from './pages/SearchPage'
 import ComparePage from './pages/ComparePage'
 import AskAIPage from './pages/AskAIPage'
+import CourseDetailPage from './pages/CourseDetailPage'
 
 // Compare Context
 const CompareContext = createContext()
@@ -15,11 +16,54 @@ export const useCompare = () => {
   return context
 }
 
+// The comparison list survives reloads via localStorage
+const COMPARE_STORAGE_KEY = 'coursequest.compareList'
+
+// Server default, used until GET /api/config answers
+const DEFAULT_MAX_COMPARE = 5
+
+const loadStoredCompareList = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(COMPARE_STORAGE_KEY))
+    return Array.isArray(stored) ? stored.filter(id => typeof id === 'string') : []
+  } catch (error) {
+    return []
+  }
+}
+
 const CompareProvider = ({ children }) => {
-  const [compareList, setCompareList] = useState([])
+  const [compareList, setCompareList] = useState(loadStoredCompareList)
+  const [maxCompare, setMaxCompare] = useState(DEFAULT_MAX_COMPARE)
+
+  // The compare limit is a server setting, so the UI never allows more than the API accepts
+  useEffect(() => {
+    const fetchConfig = async () => {
+      try {
+        const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
+        const response = await fetch(`${API_BASE}/api/config`)
+        if (response.ok) {
+          const data = await response.json()
+          if (Number.isInteger(data.compare?.max_courses)) {
+            setMaxCompare(data.compare.max_courses)
+          }
+        }
+      } catch (error) {
+        console.error('Failed to fetch app config:', error)
+      }
+    }
+    fetchConfig()
+  }, [])
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(compareList))
+    } catch (error) {
+      console.warn('Could not save comparison list:', error)
+    }
+  }, [compareList])
 
   const addToCompare = (courseId) => {
-    if (!compareList.includes(courseId) && compareList.length < 5) {
+    if (!compareList.includes(courseId) && compareList.length < maxCompare) {
       setCompareList(prev => [...prev, courseId])
       return true
     }
@@ -34,6 +78,12 @@ const CompareProvider = ({ children }) => {
     setCompareList([])
   }
 
+  // Swap in a whole list, e.g. one opened from a shared link
+  // It is kept as-is even past the limit; ComparePage explains what to remove
+  const replaceCompare = (courseIds) => {
+    setCompareList([...new Set(courseIds)])
+  }
+
   const isInCompare = (courseId) => {
     return compareList.includes(courseId)
   }
@@ -44,8 +94,10 @@ const CompareProvider = ({ children }) => {
       addToCompare,
       removeFromCompare,
       clearCompare,
+      replaceCompare,
       isInCompare,
-      maxReached: compareList.length >= 5
+      maxCompare,
+      maxReached: compareList.length >= maxCompare
     }}>
       {children}
     </CompareContext.Provider>
@@ -57,7 +109,9 @@ const Navigation = () => {
   const { compareList } = useCompare()
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false)
 
-  const isActive = (path) => location.pathname === path
+  const isActive = (path) => (
+    location.pathname === path || (path !== '/' && location.pathname.startsWith(`${path}/`))
+  )
 
   const navItems = [
     { path: '/', label: 'Search', icon: '🔍' },
@@ -152,6 +206,8 @@ const Navigation = () => {
 }
 
 const Footer = () => {
+  const { maxCompare } = useCompare()
+
   return (
     <footer className="bg-gray-800 text-white mt-16">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -177,7 +233,7 @@ const Footer = () => {
             <ul className="text-gray-300 text-sm space-y-2">
               <li>• Use specific course names for better results</li>
               <li>• Apply multiple filters to narrow down options</li>
-              <li>• Compare up to 5 courses at once</li>
+              <li>• Compare up to {maxCompare} courses at once</li>
               <li>• Ask AI for personalized recommendations</li>
             </ul>
           </div>
@@ -203,7 +259,9 @@ function App() {
               <Routes>
                 <Route path="/" element={<SearchPage />} />
                 <Route path="/compare" element={<ComparePage />} />
+                <Route path="/compare/:shareId" element={<ComparePage />} />
                 <Route path="/ask-ai" element={<AskAIPage />} />
+                <Route path="/courses/:id" element={<CourseDetailPage />} />
               </Routes>
             </div>
           </main>
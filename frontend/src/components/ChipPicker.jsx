@@ -0,0 +1,55 @@
+import React from 'react'
+
+// Multi-select as a row of toggleable chips
+// options: [{ value, label, disabled }], selected: array of values
+const ChipPicker = ({ label, options, selected = [], onChange }) => {
+  const isSelected = (value) => selected.some(item => String(item) === String(value))
+
+  const toggle = (value) => {
+    if (isSelected(value)) {
+      onChange(selected.filter(item => String(item) !== String(value)))
+    } else {
+      onChange([...selected, String(value)])
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2">
+        <span className="block text-sm font-medium text-gray-700">{label}</span>
+        {selected.length > 0 && (
+          <button
+            type="button"
+            onClick={() => onChange([])}
+            className="text-xs text-blue-600 hover:text-blue-800"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-2" role="group" aria-label={label}>
+        {options.map(option => {
+          const active = isSelected(option.value)
+          return (
+            <button
+              key={option.value}
+              type="button"
+              aria-pressed={active}
+              disabled={option.disabled && !active}
+              onClick={() => toggle(option.value)}
+              className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+                active
+                  ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              } disabled:opacity-40 disabled:cursor-not-allowed`}
+            >
+              {option.label}
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default ChipPicker
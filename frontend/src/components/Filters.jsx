@@ -1,4 +1,7 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import SearchTypeahead from './SearchTypeahead'
+import ChipPicker from './ChipPicker'
 
 const DEFAULT_OPTIONS = {
   departments: [
@@ -16,25 +19,42 @@ const DEFAULT_OPTIONS = {
   years: ['2018', '2019', '2020', '2021', '2022', '2023', '2024', '2025']
 }
 
-const Filters = ({ onFiltersChange, initialFilters = {} }) => {
+// Wait for a pause in typing before running the full course search
+const SEARCH_DEBOUNCE_MS = 300
+
+// department, level, delivery_mode and year_offered hold lists of chosen values
+const EMPTY_FILTERS = {
+  q: '',
+  department: [],
+  level: [],
+  delivery_mode: [],
+  year_offered: [],
+  min_year: '',
+  max_year: '',
+  min_credits: '',
+  max_credits: '',
+  min_duration_weeks: '',
+  max_duration_weeks: '',
+  min_rating: '',
+  max_rating: '',
+  min_fee: '',
+  max_fee: ''
+}
+
+const Filters = ({ onFiltersChange, initialFilters = EMPTY_FILTERS, facets = null }) => {
   const [filters, setFilters] = useState({
-    q: '',
-    department: '',
-    level: '',
-    delivery_mode: '',
-    year_offered: '',
-    min_credits: '',
-    max_credits: '',
-    min_duration_weeks: '',
-    max_duration_weeks: '',
-    min_rating: '',
-    max_rating: '',
-    min_fee: '',
-    max_fee: '',
+    ...EMPTY_FILTERS,
     ...initialFilters
   })
 
   const [dropdownOptions, setDropdownOptions] = useState(DEFAULT_OPTIONS)
+  const searchTimer = useRef(null)
+  const navigate = useNavigate()
+
+  // Follow filter changes made by the parent (e.g. a "Did you mean" click)
+  useEffect(() => {
+    setFilters({ ...EMPTY_FILTERS, ...initialFilters })
+  }, [initialFilters])
 
   useEffect(() => {
     setDropdownOptions(DEFAULT_OPTIONS)
@@ -66,19 +86,69 @@ const Filters = ({ onFiltersChange, initialFilters = {} }) => {
     }
   }
 
-  const handleFilterChange = (key, value) => {
-    const newFilters = { ...filters, [key]: value }
+  // Show the live min/max from /api/filter-options as input placeholders
+  const rangePlaceholder = (column, bound) => {
+    const label = bound === 'min' ? 'Min' : 'Max'
+    const value = dropdownOptions.ranges?.[column]?.[bound]
+    return value !== null && value !== undefined ? `${label} (${value})` : label
+  }
+
+  // Count for one option from the current search's facets, falling back to
+  // the whole-table counts from /api/filter-options before the first search
+  const facetCount = (column, value) => {
+    const items = (facets || dropdownOptions.facets)?.[column]
+    if (!items) return null
+    const match = items.find(item => String(item.value) === String(value))
+    return match ? match.count : 0
+  }
+
+  const optionLabel = (column, value, label = value) => {
+    const count = facetCount(column, value)
+    return count === null ? label : `${label} (${count})`
+  }
+
+  // Grey out options that would return nothing, but never a current choice
+  const isOptionEmpty = (column, value) => {
+    return facetCount(column, value) === 0 && !filters[column].some(item => String(item) === String(value))
+  }
+
+  const chipOptions = (column, values, labelFor = (value) => value) => values.map(value => ({
+    value: String(value),
+    label: optionLabel(column, value, labelFor(value)),
+    disabled: isOptionEmpty(column, value)
+  }))
+
+  const applyFilters = (newFilters) => {
+    clearTimeout(searchTimer.current)
     setFilters(newFilters)
     onFiltersChange(newFilters)
   }
 
+  const handleFilterChange = (key, value) => {
+    applyFilters({ ...filters, [key]: value })
+  }
+
+  // Typing only updates the input; the search itself runs once typing pauses
+  const handleSearchChange = (value) => {
+    const newFilters = { ...filters, q: value }
+    setFilters(newFilters)
+    clearTimeout(searchTimer.current)
+    searchTimer.current = setTimeout(() => onFiltersChange(newFilters), SEARCH_DEBOUNCE_MS)
+  }
+
+  useEffect(() => () => clearTimeout(searchTimer.current), [])
+
+  const handleSelectCourse = (course) => {
+    clearTimeout(searchTimer.current)
+    navigate(`/courses/${encodeURIComponent(course.course_id)}`)
+  }
+
+  const handleSelectDepartment = (department) => {
+    applyFilters({ ...filters, q: '', department: [department] })
+  }
+
   const clearFilters = () => {
-    const clearedFilters = Object.keys(filters).reduce((acc, key) => {
-      acc[key] = ''
-      return acc
-    }, {})
-    setFilters(clearedFilters)
-    onFiltersChange(clearedFilters)
+    applyFilters({ ...EMPTY_FILTERS })
   }
 
   return (
@@ -98,86 +168,77 @@ const Filters = ({ onFiltersChange, initialFilters = {} }) => {
         <label className="block text-sm font-medium text-gray-700 mb-2">
           Search Course Name
         </label>
-        <input
-          type="text"
+        <SearchTypeahead
           placeholder="Enter course name..."
           value={filters.q}
-          onChange={(e) => handleFilterChange('q', e.target.value)}
-          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          onChange={handleSearchChange}
+          onSubmit={() => applyFilters(filters)}
+          onSelectCourse={handleSelectCourse}
+          onSelectDepartment={handleSelectDepartment}
         />
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
         {/* Department */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Department
-          </label>
-          <select
-            value={filters.department}
-            onChange={(e) => handleFilterChange('department', e.target.value)}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-          >
-            <option value="">Select Department</option>
-            {dropdownOptions.departments.map((dept) => (
-              <option key={dept} value={dept}>{dept}</option>
-            ))}
-          </select>
-        </div>
+        <ChipPicker
+          label="Department"
+          options={chipOptions('department', dropdownOptions.departments)}
+          selected={filters.department}
+          onChange={(values) => handleFilterChange('department', values)}
+        />
 
         {/* Level */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Level
-          </label>
-          <select
-            value={filters.level}
-            onChange={(e) => handleFilterChange('level', e.target.value)}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-          >
-            <option value="">Select Level</option>
-            {dropdownOptions.levels.map((level) => (
-              <option key={level} value={level}>
-                {level === 'UG' ? 'Undergraduate' : level === 'PG' ? 'Postgraduate' : level}
-              </option>
-            ))}
-          </select>
-        </div>
+        <ChipPicker
+          label="Level"
+          options={chipOptions('level', dropdownOptions.levels, (level) => (
+            level === 'UG' ? 'Undergraduate' : level === 'PG' ? 'Postgraduate' : level
+          ))}
+          selected={filters.level}
+          onChange={(values) => handleFilterChange('level', values)}
+        />
 
         {/* Delivery Mode */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Delivery Mode
-          </label>
-          <select
-            value={filters.delivery_mode}
-            onChange={(e) => handleFilterChange('delivery_mode', e.target.value)}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-          >
-            <option value="">Select Mode</option>
-            {dropdownOptions.delivery_modes.map((mode) => (
-              <option key={mode} value={mode}>
-                {mode.charAt(0).toUpperCase() + mode.slice(1)}
-              </option>
-            ))}
-          </select>
-        </div>
+        <ChipPicker
+          label="Delivery Mode"
+          options={chipOptions('delivery_mode', dropdownOptions.delivery_modes, (mode) => (
+            mode.charAt(0).toUpperCase() + mode.slice(1)
+          ))}
+          selected={filters.delivery_mode}
+          onChange={(values) => handleFilterChange('delivery_mode', values)}
+        />
 
         {/* Year Offered */}
         <div>
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Year Offered
-          </label>
-          <select
-            value={filters.year_offered}
-            onChange={(e) => handleFilterChange('year_offered', e.target.value)}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-          >
-            <option value="">Select Year</option>
-            {dropdownOptions.years.map((year) => (
-              <option key={year} value={year}>{year}</option>
-            ))}
-          </select>
+          <ChipPicker
+            label="Year Offered"
+            options={chipOptions('year_offered', dropdownOptions.years)}
+            selected={filters.year_offered}
+            onChange={(values) => handleFilterChange('year_offered', values)}
+          />
+          <div className="flex items-center space-x-2 mt-3 text-sm text-gray-600">
+            <span>From</span>
+            <select
+              value={filters.min_year}
+              onChange={(e) => handleFilterChange('min_year', e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Any</option>
+              {dropdownOptions.years.map((year) => (
+                <option key={year} value={year}>{year}</option>
+              ))}
+            </select>
+            <span>to</span>
+            <select
+              value={filters.max_year}
+              onChange={(e) => handleFilterChange('max_year', e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Any</option>
+              {dropdownOptions.years.map((year) => (
+                <option key={year} value={year}>{year}</option>
+              ))}
+            </select>
+          </div>
         </div>
       </div>
 
@@ -191,14 +252,14 @@ const Filters = ({ onFiltersChange, initialFilters = {} }) => {
           <div className="flex space-x-2">
             <input
               type="number"
-              placeholder="Min"
+              placeholder={rangePlaceholder('credits', 'min')}
               value={filters.min_credits}
               onChange={(e) => handleFilterChange('min_credits', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             />
             <input
               type="number"
-              placeholder="Max"
+              placeholder={rangePlaceholder('credits', 'max')}
               value={filters.max_credits}
               onChange={(e) => handleFilterChange('max_credits', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -214,14 +275,14 @@ const Filters = ({ onFiltersChange, initialFilters = {} }) => {
           <div className="flex space-x-2">
             <input
               type="number"
-              placeholder="Min"
+              placeholder={rangePlaceholder('duration_weeks', 'min')}
               value={filters.min_duration_weeks}
               onChange={(e) => handleFilterChange('min_duration_weeks', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             />
             <input
               type="number"
-              placeholder="Max"
+              placeholder={rangePlaceholder('duration_weeks', 'max')}
               value={filters.max_duration_weeks}
               onChange={(e) => handleFilterChange('max_duration_weeks', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -240,7 +301,7 @@ const Filters = ({ onFiltersChange, initialFilters = {} }) => {
               step="0.1"
               min="0"
               max="5"
-              placeholder="Min"
+              placeholder={rangePlaceholder('rating', 'min')}
               value={filters.min_rating}
               onChange={(e) => handleFilterChange('min_rating', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -250,7 +311,7 @@ const Filters = ({ onFiltersChange, initialFilters = {} }) => {
               step="0.1"
               min="0"
               max="5"
-              placeholder="Max"
+              placeholder={rangePlaceholder('rating', 'max')}
               value={filters.max_rating}
               onChange={(e) => handleFilterChange('max_rating', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -266,14 +327,14 @@ const Filters = ({ onFiltersChange, initialFilters = {} }) => {
           <div className="flex space-x-2">
             <input
               type="number"
-              placeholder="Min"
+              placeholder={rangePlaceholder('tuition_fee_inr', 'min')}
               value={filters.min_fee}
               onChange={(e) => handleFilterChange('min_fee', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             />
             <input
               type="number"
-              placeholder="Max"
+              placeholder={rangePlaceholder('tuition_fee_inr', 'max')}
               value={filters.max_fee}
               onChange={(e) => handleFilterChange('max_fee', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -0,0 +1,24 @@
+import React from 'react'
+
+// Renders search snippets from the API, turning <mark>…</mark> into real
+// <mark> elements. Everything else is rendered as plain text, never as HTML.
+const Highlight = ({ text, className = '' }) => {
+  if (!text) return null
+
+  const parts = text.split(/(<mark>.*?<\/mark>)/g).filter(Boolean)
+
+  return (
+    <span className={className}>
+      {parts.map((part, index) => {
+        const match = part.match(/^<mark>(.*)<\/mark>$/)
+        return match ? (
+          <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">{match[1]}</mark>
+        ) : (
+          <React.Fragment key={index}>{part}</React.Fragment>
+        )
+      })}
+    </span>
+  )
+}
+
+export default Highlight
@@ -0,0 +1,190 @@
+import React, { useState } from 'react'
+
+const formatInr = (value) => `₹${Number(value).toLocaleString('en-IN')}`
+
+const SORT_LABELS = {
+  'rating:desc': 'Highest rated',
+  'rating:asc': 'Lowest rated',
+  'tuition_fee_inr:asc': 'Cheapest',
+  'tuition_fee_inr:desc': 'Most expensive',
+  'duration_weeks:asc': 'Shortest',
+  'duration_weeks:desc': 'Longest',
+  'credits:desc': 'Most credits',
+  'credits:asc': 'Fewest credits',
+  'year_offered:desc': 'Newest',
+  'year_offered:asc': 'Oldest',
+  'course_name:asc': 'Name A-Z',
+  'course_name:desc': 'Name Z-A',
+  'fee_per_credit:asc': 'Best value per credit',
+  'fee_per_credit:desc': 'Highest fee per credit'
+}
+
+// "tuition_fee_inr:asc,rating:desc" -> "Cheapest, then highest rated"
+const formatSort = (sort) => String(sort)
+  .split(',')
+  .map((key, index) => {
+    const label = SORT_LABELS[key] || key
+    return index === 0 ? label : label.toLowerCase()
+  })
+  .join(', then ')
+
+// How each parsed filter is labelled and edited
+// Lists of alternatives are shown joined with "or"; picking one value replaces the list
+const FIELDS = {
+  department: { label: 'Department', input: 'select' },
+  level: { label: 'Level', input: 'select', options: ['UG', 'PG'] },
+  delivery_mode: { label: 'Delivery', input: 'select', options: ['online', 'offline', 'hybrid'] },
+  exclude_department: { label: 'Not department', input: 'select' },
+  exclude_level: { label: 'Not level', input: 'select', options: ['UG', 'PG'] },
+  exclude_delivery_mode: { label: 'Not delivery', input: 'select', options: ['online', 'offline', 'hybrid'] },
+  sort: { label: 'Sort', input: 'select', options: Object.keys(SORT_LABELS), format: formatSort },
+  limit: { label: 'Show only', input: 'number', format: (value) => `top ${value}` },
+  year_offered: { label: 'Year', input: 'number' },
+  min_year: { label: 'From year', input: 'number' },
+  max_year: { label: 'To year', input: 'number' },
+  min_duration_weeks: { label: 'Min weeks', input: 'number' },
+  max_duration_weeks: { label: 'Max weeks', input: 'number' },
+  min_fee: { label: 'Min fee', input: 'number', format: formatInr },
+  max_fee: { label: 'Max fee', input: 'number', format: formatInr },
+  max_fee_per_credit: { label: 'Max fee per credit', input: 'number', format: formatInr },
+  min_rating: { label: 'Min rating', input: 'number', step: '0.1' },
+  max_rating: { label: 'Max rating', input: 'number', step: '0.1' },
+  min_credits: { label: 'Min credits', input: 'number' },
+  max_credits: { label: 'Max credits', input: 'number' },
+  q: { label: 'Keywords', input: 'text' }
+}
+
+// Chips read with less confidence than this are highlighted
+const UNSURE_BELOW = 0.8
+
+// Shows how a question was understood as a row of chips
+// Each chip can be edited or removed; onChange gets the new filters object
+const InterpretationChips = ({ interpretation, departments = [], onChange, disabled = false }) => {
+  const [editingField, setEditingField] = useState(null)
+  const [draft, setDraft] = useState('')
+
+  const { filters = {}, matches = {}, confidence = {}, ignored_words: ignoredWords = [] } = interpretation
+  const fields = Object.keys(FIELDS).filter(field => filters[field] !== undefined)
+
+  const startEditing = (field) => {
+    setEditingField(field)
+    setDraft(String(filters[field]))
+  }
+
+  const saveEdit = (text = draft) => {
+    const field = editingField
+    setEditingField(null)
+    if (text.trim() === '' || text === String(filters[field])) return
+    const value = FIELDS[field].input === 'number' ? Number(text) : text.trim()
+    onChange({ ...filters, [field]: value })
+  }
+
+  const removeField = (field) => {
+    const next = { ...filters }
+    delete next[field]
+    onChange(next)
+  }
+
+  const renderEditor = (field) => {
+    const { input, options, step, format } = FIELDS[field]
+    const className = 'px-2 py-0.5 text-xs border border-blue-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500'
+
+    if (input === 'select') {
+      const choices = options || departments
+      return (
+        <select
+          autoFocus
+          value={draft}
+          onChange={(e) => saveEdit(e.target.value)}
+          onBlur={() => setEditingField(null)}
+          className={className}
+        >
+          {!choices.includes(draft) && <option value={draft}>{format ? format(draft) : draft.split(',').join(' or ')}</option>}
+          {choices.map(choice => (
+            <option key={choice} value={choice}>{format ? format(choice) : choice}</option>
+          ))}
+        </select>
+      )
+    }
+
+    return (
+      <input
+        autoFocus
+        type={input}
+        step={step}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => saveEdit()}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') saveEdit()
+          if (e.key === 'Escape') setEditingField(null)
+        }}
+        className={`${className} w-28`}
+      />
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+      <h3 className="text-sm font-medium text-gray-700 mb-3">We understood your question as:</h3>
+
+      {fields.length === 0 ? (
+        <p className="text-sm text-gray-500">No filters were recognised, so all courses are shown.</p>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {fields.map(field => {
+            const { label, format } = FIELDS[field]
+            // Filters read from a loose synonym (e.g. "data" for Computer Science) are worth a second look
+            const unsure = confidence[field] !== undefined && confidence[field] < UNSURE_BELOW
+            return (
+              <div
+                key={field}
+                className={`inline-flex items-center gap-1 pl-3 pr-1 py-1 rounded-full border text-xs ${
+                  unsure ? 'bg-amber-50 border-amber-300 text-amber-900' : 'bg-blue-50 border-blue-200 text-blue-900'
+                }`}
+                title={matches[field]
+                  ? `From "${matches[field]}"${unsure ? ` (${Math.round(confidence[field] * 100)}% sure)` : ''}`
+                  : undefined}
+              >
+                <span className="font-medium">{label}:</span>
+                {editingField === field ? (
+                  renderEditor(field)
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => startEditing(field)}
+                    disabled={disabled}
+                    className="hover:underline disabled:no-underline"
+                    aria-label={`Edit ${label}`}
+                  >
+                    {format ? format(filters[field]) : [].concat(filters[field]).join(' or ')}
+                  </button>
+                )}
+                {matches[field] && editingField !== field && (
+                  <span className="text-blue-500">("{matches[field]}")</span>
+                )}
+                <button
+                  type="button"
+                  onClick={() => removeField(field)}
+                  disabled={disabled}
+                  className="ml-1 w-5 h-5 rounded-full text-blue-500 hover:bg-blue-100 hover:text-blue-800 disabled:opacity-50"
+                  aria-label={`Remove ${label}`}
+                >
+                  ×
+                </button>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {ignoredWords.length > 0 && (
+        <p className="text-xs text-gray-500 mt-3">
+          Not understood: {ignoredWords.map(word => `"${word}"`).join(', ')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default InterpretationChips
@@ -1,8 +1,40 @@
-import React from 'react'
+import React, { useEffect, useRef } from 'react'
+import { Link } from 'react-router-dom'
 import { useCompare } from '../App'
+import Highlight from './Highlight'
 
-const ResultsTable = ({ courses, loading, onPageChange, currentPage, totalPages, totalResults }) => {
-  const { compareList, addToCompare, removeFromCompare } = useCompare()
+const ResultsTable = ({
+  courses,
+  loading,
+  onPageChange,
+  currentPage,
+  totalPages,
+  totalResults,
+  sortKeys = [],
+  onSortChange,
+  paginationMode = 'pages',
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore
+}) => {
+  const { compareList, addToCompare, removeFromCompare, maxReached, maxCompare } = useCompare()
+  const sentinelRef = useRef(null)
+
+  // In infinite mode, load the next batch when the end of the table scrolls into view
+  useEffect(() => {
+    if (paginationMode !== 'infinite' || !hasMore || loadingMore || !onLoadMore) return
+    const sentinel = sentinelRef.current
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        onLoadMore()
+      }
+    }, { rootMargin: '200px' })
+
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [paginationMode, hasMore, loadingMore, onLoadMore, courses])
 
   if (loading) {
     return (
@@ -41,13 +73,45 @@ const ResultsTable = ({ courses, loading, onPageChange, currentPage, totalPages,
     return rating ? `${parseFloat(rating).toFixed(1)} ⭐` : 'N/A'
   }
 
+  // Click sorts by a column; shift-click adds it as a secondary key
+  const renderSortableHeader = (label, column) => {
+    const keyIndex = sortKeys.findIndex(key => key.column === column)
+    const sortKey = keyIndex >= 0 ? sortKeys[keyIndex] : null
+
+    return (
+      <th
+        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+        aria-sort={sortKey ? (sortKey.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+      >
+        <button
+          type="button"
+          onClick={(e) => onSortChange && onSortChange(column, e.shiftKey)}
+          title="Click to sort, shift-click to add as a secondary sort"
+          className={`inline-flex items-center gap-1 uppercase tracking-wider hover:text-gray-900 ${
+            sortKey ? 'text-blue-700' : ''
+          }`}
+        >
+          {label}
+          {sortKey ? (
+            <span aria-hidden="true">
+              {sortKey.direction === 'asc' ? '▲' : '▼'}
+              {sortKeys.length > 1 && <sup className="ml-0.5">{keyIndex + 1}</sup>}
+            </span>
+          ) : (
+            <span aria-hidden="true" className="text-gray-300">↕</span>
+          )}
+        </button>
+      </th>
+    )
+  }
+
   return (
     <div className="bg-white rounded-lg shadow-md overflow-hidden">
       {/* Results Summary */}
       <div className="bg-gray-50 px-6 py-3 border-b">
         <p className="text-sm text-gray-600">
           Showing {courses.length} of {totalResults} courses
-          {totalPages > 1 && ` (Page ${currentPage} of ${totalPages})`}
+          {paginationMode === 'pages' && totalPages > 1 && ` (Page ${currentPage} of ${totalPages})`}
         </p>
       </div>
 
@@ -56,9 +120,7 @@ const ResultsTable = ({ courses, loading, onPageChange, currentPage, totalPages,
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                Course Name
-              </th>
+              {renderSortableHeader('Course Name', 'course_name')}
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Department
               </th>
@@ -68,21 +130,11 @@ const ResultsTable = ({ courses, loading, onPageChange, currentPage, totalPages,
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Delivery
               </th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                Credits
-              </th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                Duration
-              </th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                Rating
-              </th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                Tuition Fee
-              </th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                Year
-              </th>
+              {renderSortableHeader('Credits', 'credits')}
+              {renderSortableHeader('Duration', 'duration_weeks')}
+              {renderSortableHeader('Rating', 'rating')}
+              {renderSortableHeader('Tuition Fee', 'tuition_fee_inr')}
+              {renderSortableHeader('Year', 'year_offered')}
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Action
               </th>
@@ -95,9 +147,29 @@ const ResultsTable = ({ courses, loading, onPageChange, currentPage, totalPages,
               return (
                 <tr key={course.course_id || course.id || index} className="hover:bg-gray-50">
                   <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm font-medium text-gray-900">
-                      {course.course_name}
-                    </div>
+                    <Link
+                      to={`/courses/${encodeURIComponent(course.course_id || course.id)}`}
+                      className="text-sm font-medium text-gray-900 hover:text-blue-600 hover:underline"
+                    >
+                      {course.course_name_highlight ? (
+                        <Highlight text={course.course_name_highlight} />
+                      ) : (
+                        course.course_name
+                      )}
+                    </Link>
+                    {course.snippet && (
+                      <div className="text-xs text-gray-500 mt-1 whitespace-normal max-w-xs">
+                        <Highlight text={course.snippet} />
+                      </div>
+                    )}
+                    {course.similarity > 0 && (
+                      <div
+                        className="text-xs text-indigo-600 mt-1"
+                        title="Found by meaning, not only by matching words"
+                      >
+                        {Math.round(course.similarity * 100)}% similar in meaning
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm text-gray-900">{course.department}</div>
@@ -142,7 +214,9 @@ const ResultsTable = ({ courses, loading, onPageChange, currentPage, totalPages,
                           addToCompare(course.course_id || course.id)
                         }
                       }}
-                      className={`px-3 py-1 rounded text-xs font-medium transition-colors ${
+                      disabled={!isInCompare && maxReached}
+                      title={!isInCompare && maxReached ? `You can compare up to ${maxCompare} courses` : undefined}
+                      className={`px-3 py-1 rounded text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
                         isInCompare
                           ? 'bg-red-100 text-red-700 hover:bg-red-200'
                           : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
@@ -158,8 +232,29 @@ const ResultsTable = ({ courses, loading, onPageChange, currentPage, totalPages,
         </table>
       </div>
 
+      {/* Load More */}
+      {paginationMode === 'infinite' && (
+        <div ref={sentinelRef} className="px-4 py-4 border-t border-gray-200 text-center">
+          {loadingMore ? (
+            <div className="flex justify-center items-center">
+              <div className="h-5 w-5 animate-spin rounded-full border-4 border-gray-200 border-t-blue-600"></div>
+              <span className="ml-2 text-sm text-gray-600">Loading more courses...</span>
+            </div>
+          ) : hasMore ? (
+            <button
+              onClick={onLoadMore}
+              className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Load more
+            </button>
+          ) : (
+            <p className="text-sm text-gray-500">You've reached the end of the results.</p>
+          )}
+        </div>
+      )}
+
       {/* Pagination */}
-      {totalPages > 1 && (
+      {paginationMode === 'pages' && totalPages > 1 && (
         <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
           <div className="flex-1 flex justify-between sm:hidden">
             <button
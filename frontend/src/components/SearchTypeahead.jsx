@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useRef } from 'react'
+
+const SUGGEST_DEBOUNCE_MS = 150
+const MIN_PREFIX_LENGTH = 2
+
+// Search box with a keyboard-navigable dropdown fed by /api/courses/suggest.
+// Picking a course calls onSelectCourse, picking a department calls
+// onSelectDepartment, and Enter with nothing highlighted calls onSubmit.
+const SearchTypeahead = ({ value, onChange, onSubmit, onSelectCourse, onSelectDepartment, placeholder }) => {
+  const [suggestions, setSuggestions] = useState({ courses: [], departments: [] })
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const requestId = useRef(0)
+
+  useEffect(() => {
+    const prefix = value.trim()
+    if (prefix.length < MIN_PREFIX_LENGTH) {
+      setSuggestions({ courses: [], departments: [] })
+      return
+    }
+
+    const timer = setTimeout(() => fetchSuggestions(prefix), SUGGEST_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [value])
+
+  const fetchSuggestions = async (prefix) => {
+    // Ignore responses that arrive after a newer request was sent
+    const currentRequest = ++requestId.current
+    try {
+      const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
+      const response = await fetch(`${API_BASE}/api/courses/suggest?prefix=${encodeURIComponent(prefix)}&limit=8`)
+      if (!response.ok) return
+
+      const data = await response.json()
+      if (currentRequest === requestId.current) {
+        setSuggestions({ courses: data.courses || [], departments: data.departments || [] })
+        setActiveIndex(-1)
+      }
+    } catch (error) {
+      console.error('Failed to fetch suggestions:', error)
+    }
+  }
+
+  // One flat list so arrow keys move across both groups
+  const items = [
+    ...suggestions.departments.map(department => ({ type: 'department', key: `dept-${department.value}`, department })),
+    ...suggestions.courses.map(course => ({ type: 'course', key: `course-${course.course_id}`, course }))
+  ]
+
+  const showDropdown = isOpen && items.length > 0
+
+  const selectItem = (item) => {
+    setIsOpen(false)
+    setActiveIndex(-1)
+    if (item.type === 'department') {
+      onSelectDepartment(item.department.value)
+    } else {
+      onSelectCourse(item.course)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && items.length > 0) {
+      e.preventDefault()
+      setIsOpen(true)
+      setActiveIndex(prev => (prev + 1) % items.length)
+    } else if (e.key === 'ArrowUp' && items.length > 0) {
+      e.preventDefault()
+      setIsOpen(true)
+      setActiveIndex(prev => (prev <= 0 ? items.length - 1 : prev - 1))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (showDropdown && activeIndex >= 0) {
+        selectItem(items[activeIndex])
+      } else {
+        setIsOpen(false)
+        onSubmit()
+      }
+    } else if (e.key === 'Escape') {
+      setIsOpen(false)
+      setActiveIndex(-1)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls="search-typeahead-list"
+        aria-activedescendant={activeIndex >= 0 ? `search-typeahead-${activeIndex}` : undefined}
+        autoComplete="off"
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value)
+          setIsOpen(true)
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+
+      {showDropdown && (
+        <ul
+          id="search-typeahead-list"
+          role="listbox"
+          className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-80 overflow-y-auto text-left"
+        >
+          {items.map((item, index) => (
+            <li
+              key={item.key}
+              id={`search-typeahead-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown fires before the input's blur closes the dropdown
+              onMouseDown={(e) => {
+                e.preventDefault()
+                selectItem(item)
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-3 py-2 cursor-pointer text-sm flex justify-between items-center ${
+                index === activeIndex ? 'bg-blue-50 text-blue-800' : 'text-gray-700'
+              }`}
+            >
+              {item.type === 'department' ? (
+                <>
+                  <span>
+                    <span className="text-gray-400 mr-2">Department</span>
+                    {item.department.value}
+                  </span>
+                  <span className="text-xs text-gray-400">{item.department.count} courses</span>
+                </>
+              ) : (
+                <>
+                  <span className="font-medium">{item.course.course_name}</span>
+                  <span className="text-xs text-gray-400 ml-2 whitespace-nowrap">
+                    {item.course.course_id} · {item.course.department}
+                  </span>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SearchTypeahead
@@ -1,20 +1,135 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
+import { Link } from 'react-router-dom'
 import ResultsTable from '../components/ResultsTable'
 import Loader from '../components/Loader'
+import InterpretationChips from '../components/InterpretationChips'
+
+const FIELD_LABELS = {
+  department: 'department',
+  level: 'level',
+  delivery_mode: 'delivery mode',
+  exclude_department: 'excluded department',
+  exclude_level: 'excluded level',
+  exclude_delivery_mode: 'excluded delivery mode',
+  sort: 'sort order',
+  limit: 'result limit',
+  year_offered: 'year',
+  min_year: 'from year',
+  max_year: 'to year',
+  min_duration_weeks: 'min duration',
+  max_duration_weeks: 'max duration',
+  min_fee: 'min fee',
+  max_fee: 'max fee',
+  max_fee_per_credit: 'max fee per credit',
+  min_rating: 'min rating',
+  max_rating: 'max rating',
+  min_credits: 'min credits',
+  max_credits: 'max credits',
+  q: 'keywords'
+}
+
+// Languages questions can be asked in, as reported in interpretation.language
+const EXAMPLE_LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'hinglish', label: 'Hinglish' },
+  { code: 'hi', label: 'हिन्दी' }
+]
+
+// "Changed delivery mode · removed department" for a follow-up turn
+const describeChanges = (changes) => {
+  if (!changes) return null
+  const parts = [
+    ['Added', changes.added],
+    ['Changed', changes.changed],
+    ['Removed', changes.removed]
+  ]
+    .filter(([, fields]) => fields.length > 0)
+    .map(([verb, fields]) => `${verb} ${fields.map(field => FIELD_LABELS[field] || field).join(', ')}`)
+  return parts.length > 0 ? parts.join(' · ') : 'No filter changes'
+}
+
+// The same filters as a structured search, e.g. /?level=PG&department=Design,Law
+// The search page has no exclusions, result limit or fee per credit, so those are left out
+const searchPageLink = (filters = {}) => {
+  const params = new URLSearchParams()
+  Object.entries(filters).forEach(([key, value]) => {
+    if (key.startsWith('exclude_') || key === 'limit' || key === 'max_fee_per_credit') return
+    if (key === 'sort') {
+      const sort = value.split(',').filter(part => !part.startsWith('fee_per_credit:')).join(',')
+      if (sort) params.append(key, sort)
+      return
+    }
+    params.append(key, value)
+  })
+  return `/?${params.toString()}`
+}
 
 const AskAIPage = () => {
   const [query, setQuery] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
-  const [results, setResults] = useState([])
-  const [currentPage, setCurrentPage] = useState(1)
-  const [totalPages, setTotalPages] = useState(1)
-  const [totalResults, setTotalResults] = useState(0)
+  // One entry per question: { id, question, interpretation, changes, results, totalResults, totalPages, currentPage }
+  const [turns, setTurns] = useState([])
+  const [sessionId, setSessionId] = useState(null)
+  const [sessionExpired, setSessionExpired] = useState(false)
+  const [departments, setDepartments] = useState([])
+  const [exampleLanguage, setExampleLanguage] = useState('en')
+  const threadEnd = useRef(null)
+
+  useEffect(() => {
+    const fetchDepartments = async () => {
+      try {
+        const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
+        const response = await fetch(`${API_BASE}/api/filter-options`)
+        if (response.ok) {
+          const data = await response.json()
+          setDepartments(data.departments || [])
+        }
+      } catch (err) {
+        console.error('Failed to fetch departments:', err)
+      }
+    }
+    fetchDepartments()
+  }, [])
 
-  const handleSubmit = async (e, page = 1) => {
-    e?.preventDefault()
+  useEffect(() => {
+    threadEnd.current?.scrollIntoView({ behavior: 'smooth', block: 'end' })
+  }, [turns.length])
 
-    if (!query.trim()) {
+  const postQuestion = async (body) => {
+    const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
+    const response = await fetch(`${API_BASE}/api/ask`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ per_page: 10, ...body }),
+    })
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.message || `HTTP error! status: ${response.status}`)
+    }
+
+    return response.json()
+  }
+
+  const turnResults = (data) => ({
+    results: data.data || [],
+    totalResults: data.meta?.total_count || 0,
+    totalPages: data.meta?.total_pages || 1,
+    currentPage: data.meta?.page || 1
+  })
+
+  const updateTurn = (turnId, update) => {
+    setTurns(previous => previous.map(turn => (turn.id === turnId ? { ...turn, ...update(turn) } : turn)))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const question = query.trim()
+    if (!question) {
       return
     }
 
@@ -22,79 +137,268 @@ const AskAIPage = () => {
     setError(null)
 
     try {
-      const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
-      const response = await fetch(`${API_BASE}/api/ask`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          question: query.trim(),
-          page: page,
-          per_page: 10
-        }),
-      })
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
-      }
+      const data = await postQuestion({ question, session_id: sessionId, page: 1 })
 
-      const data = await response.json()
+      setSessionId(data.session?.id || null)
+      setSessionExpired(Boolean(data.session?.expired))
+      // Suggest follow-ups in the language the question was asked in
+      if (exampleQueries[data.interpretation?.language]) setExampleLanguage(data.interpretation.language)
+      setTurns(previous => [
+        ...previous,
+        {
+          id: `${data.session?.id}-${data.session?.turn}-${Date.now()}`,
+          question,
+          interpretation: data.interpretation,
+          changes: previous.length > 0 ? data.interpretation.changes : null,
+          ...turnResults(data)
+        }
+      ])
+      setQuery('')
+    } catch (err) {
+      setError(err.message || 'Failed to process your query')
+    } finally {
+      setLoading(false)
+    }
+  }
 
-      setResults(data.data || [])
-      setTotalResults(data.meta?.total_count || 0)
-      setTotalPages(data.meta?.total_pages || 1)
-      setCurrentPage(data.meta?.page || 1)
+  // Paging re-runs a turn's own filters without moving the conversation on
+  const handlePageChange = async (turn, page) => {
+    if (page < 1 || page > turn.totalPages) return
 
+    setLoading(true)
+    setError(null)
+    try {
+      const data = await postQuestion({ question: turn.question, filters: turn.interpretation.filters, page })
+      updateTurn(turn.id, () => turnResults(data))
     } catch (err) {
-      setError(err.message || 'Failed to process your query')
-      setResults([])
-      setTotalResults(0)
-      setTotalPages(1)
-      setCurrentPage(1)
+      setError(err.message || 'Failed to load results')
     } finally {
       setLoading(false)
     }
   }
 
-  const handlePageChange = (page) => {
-    if (page >= 1 && page <= totalPages) {
-      setCurrentPage(page)
-      handleSubmit(null, page)
+  // Editing the latest turn's chips also updates what the next follow-up builds on
+  const handleInterpretationChange = async (turn, filters) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const data = await postQuestion({ question: turn.question, filters, session_id: sessionId, page: 1 })
+
+      // Edited filters come back without phrases; keep the ones whose value didn't change
+      updateTurn(turn.id, current => {
+        const previous = current.interpretation
+        const unchanged = (entries) => Object.fromEntries(
+          Object.entries(entries || {}).filter(([field]) => (
+            JSON.stringify(previous.filters[field]) === JSON.stringify(data.interpretation.filters[field])
+          ))
+        )
+        return {
+          interpretation: {
+            ...data.interpretation,
+            matches: unchanged(previous.matches),
+            confidence: unchanged(previous.confidence),
+            ignored_words: previous.ignored_words
+          },
+          ...turnResults(data)
+        }
+      })
+    } catch (err) {
+      setError(err.message || 'Failed to update the search')
+    } finally {
+      setLoading(false)
     }
   }
 
-  const exampleQueries = [
-    "Find beginner-friendly Python courses under $50",
-    "Show me free web development courses from Coursera",
-    "I want intermediate data science courses with certificates",
-    "Advanced machine learning courses longer than 20 hours",
-    "Business courses for project management"
-  ]
+  const handleNewConversation = () => {
+    setQuery('')
+    setTurns([])
+    setSessionId(null)
+    setSessionExpired(false)
+    setError(null)
+  }
+
+  // Examples per language the Ask parser understands; see backend/lib/askLanguages.js
+  const exampleQueries = {
+    en: [
+      "Find beginner-friendly Python courses under $50",
+      "Show me free web development courses from Coursera",
+      "I want intermediate data science courses with certificates",
+      "Advanced machine learning courses longer than 20 hours",
+      "Business courses for project management",
+      "Top 5 cheapest design or law courses, not online",
+      "Online courses under ₹1.5 lakh, 3 months long, since 2023"
+    ],
+    hinglish: [
+      "Sasta online MBA course chahiye 1 lakh se kam",
+      "4 rating se zyada wale design courses dikhao",
+      "Do saal ka PG course chahiye, online nahi",
+      "50k se 1 lakh ke beech law courses"
+    ],
+    hi: [
+      "1 लाख से कम के ऑनलाइन एमबीए कोर्स",
+      "सबसे सस्ते कानून के कोर्स",
+      "6 महीने से कम के डिज़ाइन कोर्स",
+      "मुझे 4 रेटिंग से ज़्यादा वाले कंप्यूटर कोर्स चाहिए"
+    ]
+  }
+
+  const followUpExamples = {
+    en: [
+      "Now only online ones",
+      "Cheaper than that",
+      "Any department",
+      "Except law",
+      "Sort by rating",
+      "Start over"
+    ],
+    hinglish: [
+      "Sirf online wale",
+      "Isse sasta",
+      "Koi bhi department",
+      "Law ke alawa",
+      "Rating ke hisaab se",
+      "Phir se shuru"
+    ],
+    hi: [
+      "सिर्फ ऑनलाइन वाले",
+      "इससे सस्ता",
+      "कोई भी विभाग",
+      "कानून के अलावा",
+      "रेटिंग के हिसाब से",
+      "फिर से शुरू"
+    ]
+  }
+
+  const renderTurn = (turn, index) => {
+    const isLatest = index === turns.length - 1
+
+    return (
+      <div key={turn.id} className="space-y-4">
+        {/* Question */}
+        <div className="flex justify-end">
+          <div className="max-w-xl bg-blue-600 text-white px-4 py-2 rounded-2xl rounded-br-sm">
+            {turn.question}
+          </div>
+        </div>
+
+        {/* Answer */}
+        <div>
+          {turn.changes && (
+            <p className="text-xs text-gray-500 mb-2">{describeChanges(turn.changes)}</p>
+          )}
+          <InterpretationChips
+            interpretation={turn.interpretation}
+            departments={departments}
+            onChange={(filters) => handleInterpretationChange(turn, filters)}
+            disabled={loading || !isLatest}
+          />
+          <div className="flex justify-between items-center -mt-4 mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">
+              Found {turn.totalResults} course{turn.totalResults !== 1 ? 's' : ''}
+            </h2>
+            <Link to={searchPageLink(turn.interpretation.filters)} className="text-sm text-blue-600 hover:text-blue-800">
+              Open these filters in Search →
+            </Link>
+          </div>
+
+          {turn.results.length > 0 ? (
+            <ResultsTable
+              courses={turn.results}
+              loading={false}
+              currentPage={turn.currentPage}
+              totalPages={turn.totalPages}
+              totalResults={turn.totalResults}
+              onPageChange={(page) => handlePageChange(turn, page)}
+            />
+          ) : (
+            <div className="bg-white rounded-lg shadow-md p-8 text-center">
+              <svg className="mx-auto h-16 w-16 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.172 16.172a4 4 0 015.656 0M9 12h6m-6-4h6m2 5.291A7.962 7.962 0 0112 15c-2.34 0-4.47-.881-6.084-2.327" />
+              </svg>
+              <h3 className="mt-4 text-lg font-medium text-gray-900">No courses found</h3>
+              <p className="mt-2 text-gray-500">
+                Try rephrasing your query or being more specific about what you're looking for.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    )
+  }
 
   return (
     <div className="px-4 sm:px-6 lg:px-8">
-      <div className="mb-8">
-        <h1 className="text-3xl font-bold text-gray-900">Ask AI</h1>
-        <p className="mt-2 text-gray-600">
-          Use natural language to find courses. Just describe what you're looking for!
-        </p>
+      <div className="mb-8 flex justify-between items-start">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Ask AI</h1>
+          <p className="mt-2 text-gray-600">
+            Use natural language to find courses. Just describe what you're looking for, then refine it with follow-up questions!
+          </p>
+        </div>
+        {turns.length > 0 && (
+          <button
+            type="button"
+            onClick={handleNewConversation}
+            disabled={loading}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            New conversation
+          </button>
+        )}
       </div>
 
+      {/* Conversation */}
+      {turns.length > 0 && (
+        <div className="space-y-10 mb-8">
+          {turns.map(renderTurn)}
+        </div>
+      )}
+
+      {sessionExpired && (
+        <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md p-3 mb-6">
+          The earlier conversation had expired, so the last question started a new one.
+        </p>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+          <div className="flex items-center">
+            <svg className="h-5 w-5 text-red-400 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            <div>
+              <h3 className="text-sm font-medium text-red-800">Error processing query</h3>
+              <p className="text-sm text-red-700 mt-1">{error}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Loading */}
+      {loading && (
+        <Loader text="AI is analyzing your request..." />
+      )}
+
       {/* Query Input */}
-      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6" ref={threadEnd}>
         <form onSubmit={handleSubmit} className="space-y-4">
           <div>
             <label htmlFor="query" className="block text-sm font-medium text-gray-700 mb-2">
-              What course are you looking for?
+              {turns.length > 0 ? 'Refine your search' : 'What course are you looking for?'}
             </label>
             <textarea
               id="query"
               value={query}
               onChange={(e) => setQuery(e.target.value)}
-              placeholder="e.g., I want to learn React.js for beginners with a certificate under $100"
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !e.shiftKey) handleSubmit(e)
+              }}
+              placeholder={turns.length > 0
+                ? 'e.g., now only online ones, or cheaper than that'
+                : 'e.g., I want to learn React.js for beginners with a certificate under $100'}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
-              rows={3}
+              rows={turns.length > 0 ? 2 : 3}
               disabled={loading}
             />
           </div>
@@ -113,19 +417,12 @@ const AskAIPage = () => {
                   Processing...
                 </>
               ) : (
-                'Search with AI'
+                turns.length > 0 ? 'Send' : 'Search with AI'
               )}
             </button>
             <button
               type="button"
-              onClick={() => {
-                setQuery('')
-                setResults([])
-                setError(null)
-                setCurrentPage(1)
-                setTotalPages(1)
-                setTotalResults(0)
-              }}
+              onClick={() => setQuery('')}
               className="text-sm text-gray-500 hover:text-gray-700"
               disabled={loading}
             >
@@ -136,9 +433,30 @@ const AskAIPage = () => {
 
         {/* Example Queries */}
         <div className="mt-6">
-          <h4 className="text-sm font-medium text-gray-700 mb-3">Try these examples:</h4>
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="text-sm font-medium text-gray-700">
+              {turns.length > 0 ? 'Try a follow-up:' : 'Try these examples:'}
+            </h4>
+            <div className="flex gap-1" role="group" aria-label="Example language">
+              {EXAMPLE_LANGUAGES.map(({ code, label }) => (
+                <button
+                  key={code}
+                  type="button"
+                  onClick={() => setExampleLanguage(code)}
+                  aria-pressed={exampleLanguage === code}
+                  className={`px-2 py-0.5 text-xs rounded-full border transition-colors ${
+                    exampleLanguage === code
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : 'border-gray-300 text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
           <div className="space-y-2">
-            {exampleQueries.map((example, index) => (
+            {(turns.length > 0 ? followUpExamples : exampleQueries)[exampleLanguage].map((example, index) => (
               <button
                 key={index}
                 onClick={() => setQuery(example)}
@@ -151,62 +469,8 @@ const AskAIPage = () => {
           </div>
         </div>
       </div>
-
-      {/* Error Message */}
-      {error && (
-        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
-          <div className="flex items-center">
-            <svg className="h-5 w-5 text-red-400 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-            </svg>
-            <div>
-              <h3 className="text-sm font-medium text-red-800">Error processing query</h3>
-              <p className="text-sm text-red-700 mt-1">{error}</p>
-            </div>
-          </div>
-        </div>
-      )}
-
-      {/* Loading */}
-      {loading && (
-        <Loader text="AI is analyzing your request..." />
-      )}
-
-
-
-      {/* Results */}
-      {results && !loading && (
-        <div>
-          <div className="mb-4">
-            <h2 className="text-xl font-semibold text-gray-900">
-              Found {totalResults} course{totalResults !== 1 ? 's' : ''} matching your request
-            </h2>
-          </div>
-          <ResultsTable
-            courses={results}
-            loading={loading}
-            currentPage={currentPage}
-            totalPages={totalPages}
-            totalResults={totalResults}
-            onPageChange={handlePageChange}
-          />
-        </div>
-      )}
-
-      {/* No Results */}
-      {results && results.length === 0 && !loading && (
-        <div className="bg-white rounded-lg shadow-md p-8 text-center">
-          <svg className="mx-auto h-16 w-16 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.172 16.172a4 4 0 015.656 0M9 12h6m-6-4h6m2 5.291A7.962 7.962 0 0112 15c-2.34 0-4.47-.881-6.084-2.327" />
-          </svg>
-          <h3 className="mt-4 text-lg font-medium text-gray-900">No courses found</h3>
-          <p className="mt-2 text-gray-500">
-            Try rephrasing your query or being more specific about what you're looking for.
-          </p>
-        </div>
-      )}
     </div>
   )
 }
 
-export default AskAIPage
\ No newline at end of file
+export default AskAIPage
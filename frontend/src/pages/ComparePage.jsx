@@ -1,35 +1,149 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom'
 import { useCompare } from '../App'
 import Loader from '../components/Loader'
 
+const parseIds = (value) => (value || '').split(',').map(id => id.trim()).filter(Boolean)
+
+// Attributes the score is built from, with the server's default weights
+const WEIGHT_ATTRIBUTES = [
+  { key: 'rating', label: 'Rating' },
+  { key: 'tuition_fee_inr', label: 'Cost' },
+  { key: 'duration_weeks', label: 'Duration' },
+  { key: 'credits', label: 'Credits' }
+]
+const DEFAULT_WEIGHTS = { rating: 50, tuition_fee_inr: 30, duration_weeks: 20, credits: 0 }
+
+// Wait for the slider to settle before re-scoring
+const WEIGHTS_DEBOUNCE_MS = 300
+
 const ComparePage = () => {
-  const { compareList, removeFromCompare, clearCompare } = useCompare()
+  const { compareList, removeFromCompare, clearCompare, replaceCompare, maxCompare } = useCompare()
+  const { shareId } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const navigate = useNavigate()
   const [courses, setCourses] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [missingIds, setMissingIds] = useState([])
+  const [limitError, setLimitError] = useState(null)
+  const [shareError, setShareError] = useState(null)
+  const [sharedComparison, setSharedComparison] = useState(null)
+  const [shareName, setShareName] = useState('')
+  const [shareLink, setShareLink] = useState(null)
+  const [sharing, setSharing] = useState(false)
+  const [copied, setCopied] = useState(false)
+  const [weights, setWeights] = useState(DEFAULT_WEIGHTS)
+  const [scoring, setScoring] = useState(null)
+  const weightsTimer = useRef(null)
+
+  // /compare/:shareId shows a saved set; /compare?ids=A,B shows (and adopts) the
+  // listed courses; plain /compare shows the stored list and writes it into the URL
+  const urlIds = searchParams.get('ids')
+  const ids = shareId
+    ? (sharedComparison?.course_ids || [])
+    : urlIds !== null ? parseIds(urlIds) : compareList
+  const idsKey = ids.join(',')
 
   useEffect(() => {
-    if (compareList.length > 0) {
+    if (shareId) return
+    if (urlIds === null) {
+      if (compareList.length > 0) {
+        setSearchParams({ ids: compareList.join(',') }, { replace: true })
+      }
+    } else if (parseIds(urlIds).join(',') !== compareList.join(',')) {
+      replaceCompare(parseIds(urlIds))
+    }
+  }, [shareId, urlIds])
+
+  useEffect(() => {
+    if (shareId) {
+      fetchSharedComparison()
+    } else {
+      setSharedComparison(null)
+    }
+  }, [shareId])
+
+  useEffect(() => {
+    setShareLink(null)
+    // A pending re-score would fetch the old IDs; this fetch uses the current weights anyway
+    clearTimeout(weightsTimer.current)
+    if (ids.length > 0) {
       fetchComparisonData()
     } else {
       setCourses([])
+      setScoring(null)
+    }
+  }, [idsKey])
+
+  useEffect(() => () => clearTimeout(weightsTimer.current), [])
+
+  const weightsParam = (weightValues) => (
+    WEIGHT_ATTRIBUTES.map(({ key }) => `${key}:${weightValues[key]}`).join(',')
+  )
+
+  // Moving a slider only re-scores; the table stays on screen meanwhile
+  const handleWeightChange = (key, value) => {
+    const newWeights = { ...weights, [key]: Number(value) }
+    setWeights(newWeights)
+    clearTimeout(weightsTimer.current)
+    if (Object.values(newWeights).some(weight => weight > 0)) {
+      weightsTimer.current = setTimeout(() => fetchComparisonData(newWeights, true), WEIGHTS_DEBOUNCE_MS)
     }
-  }, [compareList])
+  }
 
-  const fetchComparisonData = async () => {
+  const fetchSharedComparison = async () => {
     setLoading(true)
     setError(null)
     try {
-      const ids = compareList.join(',')
       const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
-      const response = await fetch(`${API_BASE}/api/compare?ids=${ids}`)
+      const response = await fetch(`${API_BASE}/api/comparisons/${encodeURIComponent(shareId)}`)
+
+      if (response.status === 404) {
+        throw new Error('This shared comparison does not exist or the link is incomplete.')
+      }
+      if (!response.ok) {
+        throw new Error('Failed to load the shared comparison. Please try again.')
+      }
+
+      const data = await response.json()
+      setSharedComparison(data.data)
+    } catch (err) {
+      console.error('Error fetching shared comparison:', err)
+      setError(err.message)
+    } finally {
+      // The set's courses load separately, and only when its IDs differ from the current ones
+      setLoading(false)
+    }
+  }
+
+  const fetchComparisonData = async (weightValues = weights, quiet = false) => {
+    if (!quiet) {
+      setLoading(true)
+    }
+    setError(null)
+    setMissingIds([])
+    setLimitError(null)
+    try {
+      const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
+      const params = new URLSearchParams({ ids: idsKey, weights: weightsParam(weightValues) })
+      const response = await fetch(`${API_BASE}/api/compare?${params.toString()}`)
       
       if (!response.ok) {
+        const errorData = await response.json().catch(() => null)
+        // Too many courses for the server's limit: explain instead of failing
+        if (response.status === 400 && errorData?.max_courses) {
+          setLimitError({ max: errorData.max_courses, message: errorData.message })
+          setCourses([])
+          return
+        }
         throw new Error(`HTTP error! status: ${response.status}`)
       }
 
       const data = await response.json()
       setCourses(data.courses || data.data || data)
+      setMissingIds(data.missing_ids || [])
+      setScoring(data.scoring || null)
     } catch (err) {
       console.error('Error fetching comparison data:', err)
       setError('Failed to fetch course comparison data. Please try again.')
@@ -39,6 +153,70 @@ const ComparePage = () => {
     }
   }
 
+  const handleRemove = (courseIdsToRemove) => {
+    const removing = [].concat(courseIdsToRemove)
+    removing.forEach(courseId => removeFromCompare(courseId))
+    const remaining = ids.filter(id => !removing.includes(id))
+    setSearchParams(remaining.length > 0 ? { ids: remaining.join(',') } : {})
+  }
+
+  // PDF of the courses shown, scored with the current weights
+  const pdfExportUrl = () => {
+    const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
+    const params = new URLSearchParams({
+      ids: courses.map(course => course.course_id).join(','),
+      weights: weightsParam(weights)
+    })
+    return `${API_BASE}/api/compare/export?${params.toString()}`
+  }
+
+  const handleClear = () => {
+    clearCompare()
+    setSearchParams({})
+  }
+
+  // Copy a shared set into this browser's own comparison list
+  const handleEditCopy = () => {
+    replaceCompare(ids)
+    navigate(`/compare?ids=${encodeURIComponent(idsKey)}`)
+  }
+
+  // Save the set on the server and show a short /compare/<id> link
+  const handleShare = async () => {
+    setSharing(true)
+    setShareError(null)
+    try {
+      const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
+      const response = await fetch(`${API_BASE}/api/comparisons`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: shareName, course_ids: courses.map(course => course.course_id) })
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to save comparison')
+      }
+
+      setShareLink(`${window.location.origin}/compare/${data.data.id}`)
+      setCopied(false)
+    } catch (err) {
+      console.error('Error saving comparison:', err)
+      setShareError(err.message)
+    } finally {
+      setSharing(false)
+    }
+  }
+
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareLink)
+      setCopied(true)
+    } catch (err) {
+      console.error('Failed to copy link:', err)
+    }
+  }
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-IN', {
       style: 'currency',
@@ -63,7 +241,7 @@ const ComparePage = () => {
     { key: 'year_offered', label: 'Year Offered' }
   ]
 
-  if (compareList.length === 0) {
+  if (ids.length === 0 && !shareId) {
     return (
       <div className="text-center py-12">
         <div className="mx-auto w-24 h-24 bg-gray-100 rounded-full flex items-center justify-center mb-4">
@@ -73,7 +251,7 @@ const ComparePage = () => {
         </div>
         <h3 className="text-xl font-medium text-gray-900 mb-2">No Courses to Compare</h3>
         <p className="text-gray-500 mb-4">
-          Start by adding courses to your comparison list from the search page.
+          Start by adding up to {maxCompare} courses to your comparison list from the search page.
         </p>
         <a
           href="/"
@@ -107,20 +285,196 @@ const ComparePage = () => {
     )
   }
 
+  const renderScoring = () => {
+    const recommendedCourse = courses.find(course => course.course_id === scoring.recommended.course_id)
+
+    return (
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow-md p-4">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">What matters to you?</h2>
+          <p className="text-sm text-gray-500 mb-4">Weights are relative; scores compare these courses with each other.</p>
+          <div className="space-y-3">
+            {WEIGHT_ATTRIBUTES.map(({ key, label }) => (
+              <div key={key} className="flex items-center gap-3">
+                <label htmlFor={`weight-${key}`} className="w-20 text-sm text-gray-700">{label}</label>
+                <input
+                  id={`weight-${key}`}
+                  type="range"
+                  min="0"
+                  max="100"
+                  step="5"
+                  value={weights[key]}
+                  onChange={(e) => handleWeightChange(key, e.target.value)}
+                  className="flex-1"
+                />
+                <span className="w-12 text-right text-sm text-gray-600">
+                  {Math.round((scoring.weights[key] || 0) * 100)}%
+                </span>
+              </div>
+            ))}
+          </div>
+          {!Object.values(weights).some(weight => weight > 0) && (
+            <p className="text-sm text-red-600 mt-3">Give at least one attribute some weight.</p>
+          )}
+        </div>
+
+        {recommendedCourse && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+            <p className="text-xs font-semibold uppercase tracking-wider text-blue-700 mb-1">★ Recommended</p>
+            <Link
+              to={`/courses/${encodeURIComponent(recommendedCourse.course_id)}`}
+              className="text-xl font-bold text-gray-900 hover:text-blue-700 hover:underline"
+            >
+              {recommendedCourse.course_name}
+            </Link>
+            <p className="text-sm text-gray-600 mb-3">
+              Score {scoring.recommended.score.toFixed(1)} of 100
+            </p>
+            {scoring.recommended.reasons.length > 0 && (
+              <ul className="text-sm text-gray-700 space-y-1">
+                {scoring.recommended.reasons.map(reason => (
+                  <li key={reason.attribute}>✓ {reason.detail}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  if (limitError) {
+    const excess = ids.length - limitError.max
+    return (
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6">
+        <h3 className="text-lg font-medium text-yellow-900 mb-1">Too many courses to compare</h3>
+        <p className="text-sm text-yellow-800 mb-4">
+          You can compare at most {limitError.max} courses at once, but this list has {ids.length}.
+          {shareId ? ' This shared comparison was saved with a higher limit.' : ` Remove ${excess} course${excess !== 1 ? 's' : ''} to continue.`}
+        </p>
+        {!shareId && (
+          <div className="flex flex-wrap gap-2">
+            {ids.map(id => (
+              <span key={id} className="inline-flex items-center px-3 py-1 rounded-full bg-white border border-yellow-300 text-sm text-gray-800">
+                {id}
+                <button
+                  onClick={() => handleRemove(id)}
+                  className="ml-2 text-red-600 hover:text-red-800"
+                  title="Remove from comparison"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    )
+  }
+
   return (
     <div>
       <div className="flex justify-between items-center mb-6">
-        <h1 className="text-3xl font-bold text-gray-900">
-          Comparing {courses.length} course{courses.length !== 1 ? 's' : ''}
-        </h1>
-        <button
-          onClick={clearCompare}
-          className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
-        >
-          Clear All
-        </button>
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">
+            {sharedComparison?.name || `Comparing ${courses.length} course${courses.length !== 1 ? 's' : ''}`}
+          </h1>
+          {sharedComparison && (
+            <p className="text-sm text-gray-500 mt-1">
+              Shared comparison · saved {new Date(sharedComparison.created_at).toLocaleDateString()}
+            </p>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <a
+            href={pdfExportUrl()}
+            download
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
+          >
+            Export PDF
+          </a>
+          {shareId ? (
+            <button
+              onClick={handleEditCopy}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Edit a copy
+            </button>
+          ) : (
+            <button
+              onClick={handleClear}
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+            >
+              Clear All
+            </button>
+          )}
+        </div>
       </div>
 
+      {/* Courses that no longer exist */}
+      {missingIds.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4 mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+          <p className="text-sm text-yellow-800">
+            {missingIds.length === 1 ? 'This course could' : 'These courses could'} not be found and {missingIds.length === 1 ? 'is' : 'are'} not shown: {missingIds.join(', ')}
+          </p>
+          {!shareId && (
+            <button
+              onClick={() => handleRemove(missingIds)}
+              className="px-3 py-1 text-sm border border-yellow-300 rounded-md text-yellow-900 hover:bg-yellow-100"
+            >
+              Remove from list
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Weights and recommendation */}
+      {scoring && courses.length > 1 && renderScoring()}
+
+      {/* Share */}
+      {!shareId && courses.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+          {shareLink ? (
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+              <span className="text-sm text-gray-700">Share this link:</span>
+              <input
+                readOnly
+                value={shareLink}
+                onFocus={(e) => e.target.select()}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm bg-gray-50"
+              />
+              <button
+                onClick={copyShareLink}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+              >
+                {copied ? 'Copied!' : 'Copy'}
+              </button>
+            </div>
+          ) : (
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+              <input
+                type="text"
+                value={shareName}
+                maxLength={120}
+                onChange={(e) => setShareName(e.target.value)}
+                placeholder="Name this comparison (optional)"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                onClick={handleShare}
+                disabled={sharing}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+              >
+                {sharing ? 'Saving...' : 'Get share link'}
+              </button>
+            </div>
+          )}
+          {shareError && (
+            <p className="text-sm text-red-600 mt-2">{shareError}</p>
+          )}
+        </div>
+      )}
+
       <div className="bg-white rounded-lg shadow-md overflow-hidden">
         <div className="overflow-x-auto">
           <table className="min-w-full">
@@ -130,22 +484,52 @@ const ComparePage = () => {
                   Field
                 </th>
                 {courses.map((course, index) => (
-                  <th key={index} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider relative">
+                  <th
+                    key={index}
+                    className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider relative ${
+                      scoring?.recommended.course_id === course.course_id ? 'bg-blue-50 text-blue-700' : 'text-gray-500'
+                    }`}
+                  >
                     <div className="flex justify-between items-center">
-                      Course {index + 1}
-                      <button
-                        onClick={() => removeFromCompare(course.id)}
-                        className="ml-2 text-red-600 hover:text-red-800"
-                        title="Remove from comparison"
-                      >
-                        ×
-                      </button>
+                      <span>
+                        Course {index + 1}
+                        {scoring?.recommended.course_id === course.course_id && ' ★ Recommended'}
+                      </span>
+                      {!shareId && (
+                        <button
+                          onClick={() => handleRemove(course.course_id)}
+                          className="ml-2 text-red-600 hover:text-red-800"
+                          title="Remove from comparison"
+                        >
+                          ×
+                        </button>
+                      )}
                     </div>
                   </th>
                 ))}
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
+              {scoring && (
+                <tr className="bg-blue-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    Score
+                  </td>
+                  {courses.map((course, courseIndex) => {
+                    const courseScore = scoring.scores.find(item => item.course_id === course.course_id)
+                    return (
+                      <td key={courseIndex} className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {courseScore ? (
+                          <span className="font-semibold">
+                            {courseScore.score.toFixed(1)}
+                            <span className="ml-2 text-xs font-normal text-gray-500">#{courseScore.rank}</span>
+                          </span>
+                        ) : 'N/A'}
+                      </td>
+                    )
+                  })}
+                </tr>
+              )}
               {comparisonFields.map((field, fieldIndex) => (
                 <tr key={field.key} className={fieldIndex % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
@@ -159,10 +543,23 @@ const ComparePage = () => {
                       value = 'N/A'
                     }
                     
+                    // Best value in the row among the compared courses
+                    const isBest = scoring?.winners[field.key]?.course_ids.includes(course.course_id)
+
                     return (
-                      <td key={courseIndex} className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      <td
+                        key={courseIndex}
+                        className={`px-6 py-4 whitespace-nowrap text-sm ${
+                          isBest ? 'bg-green-50 text-green-800 font-semibold' : 'text-gray-900'
+                        }`}
+                      >
                         {field.key === 'course_name' ? (
-                          <span className="font-medium text-blue-600">{value}</span>
+                          <Link
+                            to={`/courses/${encodeURIComponent(course.course_id)}`}
+                            className="font-medium text-blue-600 hover:text-blue-800 hover:underline"
+                          >
+                            {value}
+                          </Link>
                         ) : field.key === 'level' ? (
                           <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
                             {value}
@@ -172,7 +569,10 @@ const ComparePage = () => {
                             {value}
                           </span>
                         ) : (
-                          <span>{value}</span>
+                          <span>
+                            {value}
+                            {isBest && <span className="ml-2 text-xs font-medium text-green-700">Best</span>}
+                          </span>
                         )}
                       </td>
                     )
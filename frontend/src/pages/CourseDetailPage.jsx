@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { useCompare } from '../App'
+import Loader from '../components/Loader'
+
+const CourseDetailPage = () => {
+  const { id } = useParams()
+  const { isInCompare, addToCompare, removeFromCompare, maxReached } = useCompare()
+  const [details, setDetails] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const [cheaperOnly, setCheaperOnly] = useState(false)
+  const [cheaperAlternatives, setCheaperAlternatives] = useState(null)
+
+  useEffect(() => {
+    setCheaperOnly(false)
+    setCheaperAlternatives(null)
+    fetchCourse()
+  }, [id])
+
+  useEffect(() => {
+    if (cheaperOnly && cheaperAlternatives === null) {
+      fetchCheaperAlternatives()
+    }
+  }, [cheaperOnly])
+
+  const fetchCheaperAlternatives = async () => {
+    try {
+      const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
+      const response = await fetch(`${API_BASE}/api/courses/${encodeURIComponent(id)}/similar?limit=4&cheaper_only=true`)
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+      const data = await response.json()
+      setCheaperAlternatives(data.data || [])
+    } catch (err) {
+      console.error('Error fetching cheaper alternatives:', err)
+      setCheaperAlternatives([])
+    }
+  }
+
+  const fetchCourse = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
+      const response = await fetch(`${API_BASE}/api/courses/${encodeURIComponent(id)}`)
+
+      if (response.status === 404) {
+        setError(`We couldn't find a course with ID "${id}".`)
+        setDetails(null)
+        return
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      setDetails(await response.json())
+    } catch (err) {
+      console.error('Error fetching course:', err)
+      setError('Failed to load this course. Please try again.')
+      setDetails(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (err) {
+      console.error('Failed to copy link:', err)
+    }
+  }
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR',
+      maximumFractionDigits: 0
+    }).format(amount)
+  }
+
+  const formatRating = (rating) => {
+    return rating ? `${parseFloat(rating).toFixed(1)} ⭐` : 'N/A'
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <Loader size="large" />
+        <span className="ml-3 text-gray-600">Loading course...</span>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-6 text-center">
+        <p className="text-sm text-red-700 mb-4">{error}</p>
+        <Link to="/" className="text-sm font-medium text-blue-600 hover:text-blue-800">
+          ← Back to search
+        </Link>
+      </div>
+    )
+  }
+
+  const { data: course, department_stats: stats, department_rank: rank, similar_courses: similar } = details
+  const inCompare = isInCompare(course.course_id)
+  const recommendations = cheaperOnly ? (cheaperAlternatives || []) : similar
+
+  const facts = [
+    { label: 'Department', value: course.department || 'N/A' },
+    { label: 'Level', value: course.level },
+    { label: 'Delivery Mode', value: course.delivery_mode },
+    { label: 'Credits', value: course.credits ?? 'N/A' },
+    { label: 'Duration', value: course.duration_weeks ? `${course.duration_weeks} weeks` : 'N/A' },
+    { label: 'Year Offered', value: course.year_offered ?? 'N/A' }
+  ]
+
+  return (
+    <div className="space-y-6 text-left">
+      <Link to="/" className="text-sm text-blue-600 hover:text-blue-800">← Back to search</Link>
+
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-col md:flex-row md:justify-between md:items-start gap-4">
+          <div>
+            <p className="text-sm text-gray-500">{course.course_id}</p>
+            <h1 className="text-3xl font-bold text-gray-900">{course.course_name}</h1>
+            {course.description && (
+              <p className="mt-3 text-gray-600 max-w-3xl">{course.description}</p>
+            )}
+          </div>
+          <div className="flex space-x-2 shrink-0">
+            <button
+              onClick={copyLink}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+            >
+              {copied ? 'Link copied!' : 'Copy link'}
+            </button>
+            <button
+              onClick={() => inCompare ? removeFromCompare(course.course_id) : addToCompare(course.course_id)}
+              disabled={!inCompare && maxReached}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                inCompare
+                  ? 'bg-red-100 text-red-700 hover:bg-red-200'
+                  : 'bg-blue-600 text-white hover:bg-blue-700'
+              }`}
+            >
+              {inCompare ? 'Remove from Compare' : 'Add to Compare'}
+            </button>
+          </div>
+        </div>
+
+        <dl className="mt-6 grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+          {facts.map((fact) => (
+            <div key={fact.label}>
+              <dt className="text-xs font-medium text-gray-500 uppercase tracking-wider">{fact.label}</dt>
+              <dd className="mt-1 text-sm text-gray-900">{fact.value}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+
+      {/* Department Context */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white rounded-lg shadow-md p-5">
+          <p className="text-sm text-gray-500">Tuition Fee</p>
+          <p className="text-2xl font-semibold text-gray-900">
+            {course.tuition_fee_inr ? formatCurrency(course.tuition_fee_inr) : 'N/A'}
+          </p>
+          {stats.avg_fee !== null && (
+            <p className="text-sm text-gray-500 mt-1">
+              Department average {formatCurrency(stats.avg_fee)}
+            </p>
+          )}
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-5">
+          <p className="text-sm text-gray-500">Rating</p>
+          <p className="text-2xl font-semibold text-gray-900">{formatRating(course.rating)}</p>
+          {stats.avg_rating !== null && (
+            <p className="text-sm text-gray-500 mt-1">
+              Department average {formatRating(stats.avg_rating)}
+            </p>
+          )}
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-5">
+          <p className="text-sm text-gray-500">Rank in {stats.department || 'department'}</p>
+          <p className="text-2xl font-semibold text-gray-900">
+            {rank ? `#${rank.rank} of ${rank.out_of}` : 'Unrated'}
+          </p>
+          <p className="text-sm text-gray-500 mt-1">By rating, across {stats.course_count} courses</p>
+        </div>
+      </div>
+
+      {/* Similar Courses */}
+      {(similar.length > 0 || cheaperOnly) && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {cheaperOnly ? 'Cheaper Alternatives' : 'Similar Courses'}
+            </h2>
+            {course.tuition_fee_inr && (
+              <label className="flex items-center space-x-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={cheaperOnly}
+                  onChange={(e) => setCheaperOnly(e.target.checked)}
+                  className="rounded border-gray-300"
+                />
+                <span>Only cheaper courses</span>
+              </label>
+            )}
+          </div>
+          {cheaperOnly && cheaperAlternatives === null && <Loader size="small" />}
+          {cheaperOnly && cheaperAlternatives?.length === 0 && (
+            <p className="text-sm text-gray-500">No cheaper alternatives found.</p>
+          )}
+          <ul className="divide-y divide-gray-200">
+            {recommendations.map((item) => (
+              <li key={item.course_id} className="py-3 flex justify-between items-center">
+                <div>
+                  <Link
+                    to={`/courses/${encodeURIComponent(item.course_id)}`}
+                    className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                  >
+                    {item.course_name}
+                  </Link>
+                  <p className="text-xs text-gray-500">
+                    {item.course_id} · {item.department} · {item.level} · {item.delivery_mode}
+                  </p>
+                  {item.matched?.length > 0 && (
+                    <div className="mt-1 flex flex-wrap gap-1">
+                      {item.matched.slice(0, 3).map((match) => (
+                        <span key={match.attribute} className="px-2 py-0.5 text-xs rounded-full bg-blue-50 text-blue-700">
+                          {match.detail}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <div className="text-right text-sm text-gray-700 shrink-0 ml-4">
+                  {item.similarity !== undefined && (
+                    <div className="text-xs font-medium text-green-700">{Math.round(item.similarity * 100)}% match</div>
+                  )}
+                  <div>{formatRating(item.rating)}</div>
+                  <div className="text-xs text-gray-500">
+                    {item.tuition_fee_inr ? formatCurrency(item.tuition_fee_inr) : 'N/A'}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CourseDetailPage
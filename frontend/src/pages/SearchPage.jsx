@@ -1,32 +1,116 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback, useMemo } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import Filters from '../components/Filters'
 import ResultsTable from '../components/ResultsTable'
 
+// Filters that can hold several values; they appear as repeated URL keys
+const MULTI_VALUE_FILTERS = ['department', 'level', 'delivery_mode', 'year_offered']
+
+const SINGLE_VALUE_FILTERS = [
+  'q',
+  'min_year',
+  'max_year',
+  'min_credits',
+  'max_credits',
+  'min_duration_weeks',
+  'max_duration_weeks',
+  'min_rating',
+  'max_rating',
+  'min_fee',
+  'max_fee'
+]
+
+// Read filters back out of the page URL, e.g. ?level=PG&delivery_mode=online&max_fee=100000
+const filtersFromSearchParams = (searchParams) => {
+  const filters = {}
+  MULTI_VALUE_FILTERS.forEach(key => {
+    filters[key] = searchParams.getAll(key).flatMap(value => value.split(',')).filter(Boolean)
+  })
+  SINGLE_VALUE_FILTERS.forEach(key => {
+    filters[key] = searchParams.get(key) || ''
+  })
+  return filters
+}
+
+// "rating:desc,tuition_fee_inr:asc" -> [{ column, direction }]
+const parseSortKeys = (sort) => {
+  if (!sort) return []
+  return sort.split(',').filter(Boolean).map(part => {
+    const [column, direction] = part.split(':')
+    return { column, direction: direction === 'desc' ? 'desc' : 'asc' }
+  })
+}
+
 const SearchPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams()
   const [courses, setCourses] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
-  const [filters, setFilters] = useState({})
-  const [currentPage, setCurrentPage] = useState(1)
   const [totalPages, setTotalPages] = useState(1)
   const [totalResults, setTotalResults] = useState(0)
   const [hasSearched, setHasSearched] = useState(false)
+  const [facets, setFacets] = useState(null)
+  const [suggestions, setSuggestions] = useState([])
+  const [searchMode, setSearchMode] = useState(null)
+  const [paginationMode, setPaginationMode] = useState('pages')
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+
+  // Filters, sort and page live in the URL so searches can be shared,
+  // survive a refresh, and come back with the browser's back/forward buttons
+  const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams])
+  const sortKeys = useMemo(() => parseSortKeys(searchParams.get('sort')), [searchParams])
+  const currentPage = Math.max(1, parseInt(searchParams.get('page')) || 1)
   
   const ITEMS_PER_PAGE = 10
 
+  // Direction a column gets when it's first clicked
+  const DEFAULT_SORT_DIRECTIONS = { rating: 'desc' }
+
   // Load initial data - now only loads when user applies filters
   useEffect(() => {
     // Don't auto-load data on initial render, wait for user to search/filter
   }, [])
 
-  // Fetch courses when filters or page changes
+  // Fetch courses when filters, page, sort or pagination mode changes
   useEffect(() => {
     // Only fetch if user has applied some filters or search
     if (hasFiltersApplied(filters)) {
       fetchCourses(filters, currentPage)
       setHasSearched(true)
+    } else {
+      // All filters cleared (or navigated back to an empty search): reset the results
+      setCourses([])
+      setTotalResults(0)
+      setTotalPages(1)
+      setFacets(null)
+      setSuggestions([])
+      setSearchMode(null)
+      setNextCursor(null)
+      setHasSearched(false)
     }
-  }, [filters, currentPage])
+  }, [filters, currentPage, sortKeys, paginationMode])
+
+  // Write a new search into the URL, adding a history entry
+  const updateSearch = ({ filters: nextFilters = filters, sortKeys: nextSortKeys = sortKeys, page = 1 }) => {
+    const params = new URLSearchParams()
+    MULTI_VALUE_FILTERS.forEach(key => {
+      (nextFilters[key] || []).forEach(value => params.append(key, value))
+    })
+    SINGLE_VALUE_FILTERS.forEach(key => {
+      const value = nextFilters[key]
+      if (value && value.toString().trim()) {
+        params.set(key, value)
+      }
+    })
+    if (nextSortKeys.length > 0) {
+      params.set('sort', nextSortKeys.map(key => `${key.column}:${key.direction}`).join(','))
+    }
+    if (page > 1) {
+      params.set('page', page.toString())
+    }
+    setSearchParams(params)
+  }
 
   const hasFiltersApplied = (filtersObj) => {
     return Object.values(filtersObj).some(value => 
@@ -34,12 +118,16 @@ const SearchPage = () => {
     )
   }
 
-  const buildQueryParams = (filtersObj = {}, page = 1) => {
+  // Filter and sort parameters, shared by the results query and the export links
+  const buildFilterParams = (filtersObj = {}) => {
     const params = new URLSearchParams()
     
     // Map frontend filter keys to backend query parameters
     Object.entries(filtersObj).forEach(([key, value]) => {
-      if (value && value.toString().trim()) {
+      // Multi-select filters are sent as repeated keys (department=A&department=B)
+      if (Array.isArray(value)) {
+        value.forEach(item => params.append(key, item))
+      } else if (value && value.toString().trim()) {
         if (key === 'search') {
           params.append('q', value)
         } else if (key === 'credits_min') {
@@ -64,13 +152,41 @@ const SearchPage = () => {
       }
     })
     
-    // Add pagination
-    params.append('page', page.toString())
+    // Sort by the chosen columns, otherwise rank text searches by relevance
+    if (sortKeys.length > 0) {
+      params.append('sort', sortKeys.map(key => `${key.column}:${key.direction}`).join(','))
+    } else if (params.get('q')) {
+      params.append('sort_by', 'relevance')
+    }
+
+    return params
+  }
+
+  const buildQueryParams = (filtersObj = {}, page = 1, cursor = null) => {
+    const params = buildFilterParams(filtersObj)
+
+    // Add pagination; a cursor continues from the last loaded row
     params.append('per_page', ITEMS_PER_PAGE.toString())
+    if (cursor) {
+      params.append('cursor', cursor)
+      return params.toString()
+    }
+    params.append('page', page.toString())
+
+    // Ask for per-option counts so Filters can show them
+    params.append('facets', 'true')
     
     return params.toString()
   }
 
+  // Download links for every matching course, not just the current page
+  const exportUrl = (format) => {
+    const params = buildFilterParams(filters)
+    params.append('format', format)
+    const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
+    return `${API_BASE}/api/courses/export?${params.toString()}`
+  }
+
   const fetchCourses = async (filtersObj = {}, page = 1) => {
     setLoading(true)
     setError(null)
@@ -89,6 +205,10 @@ const SearchPage = () => {
       setCourses(data.data || data.courses || data)
       setTotalResults(data.meta?.total_count || data.total || data.totalResults || (data.data?.length || data.courses?.length || data.length || 0))
       setTotalPages(data.meta?.total_pages || data.totalPages || Math.ceil((data.meta?.total_count || data.total || data.totalResults || 0) / ITEMS_PER_PAGE))
+      setFacets(data.facets || null)
+      setSuggestions(data.suggestions || [])
+      setSearchMode(data.meta?.search_mode || null)
+      setNextCursor(data.meta?.next_cursor || null)
       
     } catch (err) {
       console.error('Error fetching courses:', err)
@@ -96,30 +216,103 @@ const SearchPage = () => {
       setCourses([])
       setTotalResults(0)
       setTotalPages(1)
+      setFacets(null)
+      setSuggestions([])
+      setSearchMode(null)
+      setNextCursor(null)
     } finally {
       setLoading(false)
     }
   }
 
-  const handleFiltersChange = (newFilters) => {
-    setFilters(newFilters)
-    setCurrentPage(1) // Reset to first page when filters change
-    
-    // If all filters are cleared, reset the search state
-    if (!hasFiltersApplied(newFilters)) {
-      setCourses([])
-      setTotalResults(0)
-      setTotalPages(1)
-      setHasSearched(false)
+  // Append the next batch of results (infinite scroll / "Load more")
+  const loadMoreCourses = useCallback(async () => {
+    if (!nextCursor || loadingMore) return
+    setLoadingMore(true)
+
+    try {
+      const queryString = buildQueryParams(filters, 1, nextCursor)
+      const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:4000";
+      const response = await fetch(`${API_BASE}/api/courses?${queryString}`)
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const data = await response.json()
+      setCourses(prev => [...prev, ...(data.data || [])])
+      setNextCursor(data.meta?.next_cursor || null)
+    } catch (err) {
+      console.error('Error loading more courses:', err)
+      setError('Failed to load more courses. Please try again.')
+    } finally {
+      setLoadingMore(false)
+    }
+  }, [filters, sortKeys, nextCursor, loadingMore])
+
+  // Plain click makes the column the only sort key (or flips it if it already is);
+  // shift-click adds it as another key, or flips it if it's already one
+  const handleSortChange = (column, append) => {
+    const flip = (key) => ({ ...key, direction: key.direction === 'asc' ? 'desc' : 'asc' })
+    const existing = sortKeys.find(key => key.column === column)
+    const newKey = { column, direction: DEFAULT_SORT_DIRECTIONS[column] || 'asc' }
+
+    let nextSortKeys
+    if (append) {
+      nextSortKeys = existing
+        ? sortKeys.map(key => (key.column === column ? flip(key) : key))
+        : [...sortKeys, newKey]
+    } else {
+      nextSortKeys = existing && sortKeys.length === 1 ? [flip(existing)] : [newKey]
+    }
+    updateSearch({ sortKeys: nextSortKeys })
+  }
+
+  const handlePaginationModeChange = (mode) => {
+    setPaginationMode(mode)
+    if (currentPage > 1) {
+      updateSearch({ page: 1 })
     }
   }
 
+  // Changing filters always goes back to the first page
+  const handleFiltersChange = (newFilters) => {
+    updateSearch({ filters: newFilters })
+  }
+
   const handlePageChange = (page) => {
     if (page >= 1 && page <= totalPages) {
-      setCurrentPage(page)
+      updateSearch({ page })
     }
   }
 
+  const applySuggestion = (suggestion) => {
+    handleFiltersChange({ ...filters, q: suggestion })
+  }
+
+  const renderSuggestions = () => (
+    <div className="bg-white border border-gray-200 rounded-lg px-4 py-3 text-sm text-gray-700">
+      {searchMode === 'fuzzy' && totalResults > 0 && (
+        <p className="mb-1 text-gray-500">
+          No exact matches for "{filters.q}", showing similar courses instead.
+        </p>
+      )}
+      <span>Did you mean </span>
+      {suggestions.map((suggestion, index) => (
+        <React.Fragment key={suggestion}>
+          {index > 0 && ', '}
+          <button
+            onClick={() => applySuggestion(suggestion)}
+            className="font-medium text-blue-600 hover:text-blue-800 hover:underline"
+          >
+            {suggestion}
+          </button>
+        </React.Fragment>
+      ))}
+      <span>?</span>
+    </div>
+  )
+
   const renderNoFiltersMessage = () => (
     <div className="bg-blue-50 border border-blue-200 rounded-lg p-8 text-center">
       <div className="flex justify-center mb-4">
@@ -176,6 +369,7 @@ const SearchPage = () => {
       <Filters 
         onFiltersChange={handleFiltersChange}
         initialFilters={filters}
+        facets={facets}
       />
 
       {/* Error Message */}
@@ -194,6 +388,44 @@ const SearchPage = () => {
         </div>
       )}
 
+      {/* Did You Mean */}
+      {suggestions.length > 0 && !loading && renderSuggestions()}
+
+      {/* Export and Pagination Mode */}
+      {hasSearched && totalResults > 0 && (
+        <div className="flex flex-wrap justify-between items-center gap-2 text-sm">
+          <div className="flex items-center gap-2">
+            <span className="text-gray-600">Export results:</span>
+            {[['csv', 'CSV'], ['xlsx', 'Excel']].map(([format, label]) => (
+              <a
+                key={format}
+                href={exportUrl(format)}
+                download
+                className="px-3 py-1 rounded-md border bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                {label}
+              </a>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="text-gray-600">Show results:</span>
+            {[['pages', 'Pages'], ['infinite', 'Continuous scroll']].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => handlePaginationModeChange(mode)}
+                className={`px-3 py-1 rounded-md border ${
+                  paginationMode === mode
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Results Section */}
       {!hasFiltersApplied(filters) && !hasSearched ? (
         renderNoFiltersMessage()
@@ -207,6 +439,12 @@ const SearchPage = () => {
           totalPages={totalPages}
           totalResults={totalResults}
           onPageChange={handlePageChange}
+          sortKeys={sortKeys}
+          onSortChange={handleSortChange}
+          paginationMode={paginationMode}
+          hasMore={Boolean(nextCursor)}
+          loadingMore={loadingMore}
+          onLoadMore={loadMoreCourses}
         />
       )}
     </div>